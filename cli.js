@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+// Headless MirrorMaster: one sync, status or the mirror list from a script or systemd timer.
+// Uses the same sync logic as the app (index.js), without the admin panel, scheduler or package server.
+
+const USAGE = `Usage: node cli.js <command> [options] [--SETTING value ...]
+
+Commands:
+  sync       Run one sync and exit
+               --targets a,b   only these targets (folders)
+               --dry-run       print what would be downloaded, download nothing
+  status     Last sync, retry queue and disk usage
+  mirrors    Probe the mirrors and list them, best first
+  audit      Check the local tree against the local repo databases, download nothing
+               --full          hash every file, not only those changed since the last audit
+
+Options:
+  --json     Print the result as JSON
+  --quiet    No log output (it goes to stderr otherwise)
+  --help     Show this help
+
+Any other flag overrides the setting of the same name from .env and the admin panel,
+e.g. --mirrors https://a/archlinux,https://b/archlinux --download-speed-limit-kbps 5000
+
+Exit codes: 0 ok, 1 files failed or the sync was stopped (status: the last sync did not succeed,
+audit: problems other than orphaned files were found), 2 invalid usage or settings.`;
+
+const CLI_FLAGS = ['json', 'quiet', 'help', 'targets', 'folders', 'dry-run', 'full'];
+
+// --name value, --name=value, --name (true) and --no-name (false)
+function parseArgs(argv) {
+  const args = { command: null, flags: {}, env: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      if (args.command) throw new Error(`unexpected argument "${arg}"`);
+      args.command = arg;
+      continue;
+    }
+    let [name, value] = arg.slice(2).split(/=(.*)/s);
+    if (value === undefined) {
+      if (name.startsWith('no-')) {
+        name = name.slice(3);
+        value = 'false';
+      } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--') && !['json', 'quiet', 'help', 'dry-run', 'full'].includes(name)) {
+        value = argv[++i];
+      } else {
+        value = 'true';
+      }
+    }
+    if (CLI_FLAGS.includes(name)) args.flags[name] = value;
+    else args.env[name.toUpperCase().replace(/-/g, '_')] = value;
+  }
+  return args;
+}
+
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let i = 0;
+  while (bytes >= 1024 && i < units.length - 1) {
+    bytes /= 1024;
+    i++;
+  }
+  return `${bytes.toFixed(i ? 1 : 0)} ${units[i]}`;
+}
+
+function print(result, json, human) {
+  process.stdout.write(json ? JSON.stringify(result, null, 2) + '\n' : human(result).join('\n') + '\n');
+}
+
+// --- Commands ---
+
+async function sync(mm, flags) {
+  const targets = flags.targets || flags.folders ? String(flags.targets || flags.folders).split(',').map(t => t.trim()).filter(Boolean) : undefined;
+  const names = mm.syncTargets.map(t => t.name);
+  const unknown = (targets || []).filter(t => !names.includes(t));
+  if (unknown.length) throw usageError(`unknown target(s) ${unknown.join(', ')}, use ${names.join(', ')}`);
+
+  if (flags['dry-run'] === 'true') {
+    const plan = await mm.planSync({ targets });
+    const bytes = plan.download.reduce((sum, f) => sum + (f.size || 0), 0);
+    print({ ...plan, download: plan.download.map(f => ({ relPath: f.relPath, size: f.size ?? null })), bytes }, flags.json === 'true', p => [
+      ...p.download.map(f => `${f.relPath}${typeof f.size === 'number' ? ` (${formatBytes(f.size)})` : ''}`),
+      `${p.download.length} of ${p.files} file(s) to download from ${p.mirror}, ${formatBytes(p.bytes)}${p.download.some(f => typeof f.size !== 'number') ? ' plus files of unknown size' : ''}`,
+      ...p.scanFailed.map(root => `Scan failed: ${root}`)
+    ]);
+    return plan.scanFailed.length ? 1 : 0;
+  }
+
+  // First Ctrl+C stops the sync like the Stop button, the second one quits right away
+  process.on('SIGINT', () => {
+    if (mm.syncAbortController.stop) process.exit(130);
+    mm.syncAbortController.stop = true;
+    console.error('Stopping, press Ctrl+C again to quit now');
+  });
+  const run = await mm.syncMirror('cli', { targets });
+  print(run, flags.json === 'true', r => [
+    `Sync ${r.status}: ${r.added} added, ${r.updated} updated, ${r.failed} failed, ${r.pruned} pruned, ${formatBytes(r.bytes)} in ${r.durationSeconds}s`,
+    ...(r.error ? [`Error: ${r.error}`] : []),
+    ...r.files.failed.map(relPath => `Failed: ${relPath}`)
+  ]);
+  return run.status === 'success' ? 0 : 1;
+}
+
+async function status(mm, flags) {
+  mm.updateRetryStats();
+  const [lastId] = await mm.listRunIds();
+  const lastRun = lastId ? await mm.readRun(lastId) : null;
+  const result = {
+    targets: mm.syncTargets.map(t => t.name),
+    lastRun: lastRun && mm.summarizeRun(lastRun),
+    retryQueue: mm.syncState.retryQueue,
+    diskUsage: await mm.getDiskUsage(mm.MIRROR_DIR)
+  };
+  print(result, flags.json === 'true', r => [
+    `Targets:     ${r.targets.join(', ')}`,
+    `Last sync:   ${r.lastRun ? `${r.lastRun.status} at ${r.lastRun.endedAt} (${r.lastRun.trigger}), ${r.lastRun.added} added, ${r.lastRun.updated} updated, ${r.lastRun.failed} failed` : 'never'}`,
+    `Retry queue: ${r.retryQueue.waiting} waiting, ${r.retryQueue.givenUp} given up${r.retryQueue.nextRetryAt ? `, next at ${r.retryQueue.nextRetryAt}` : ''}`,
+    `Disk usage:  ${formatBytes(r.diskUsage)}`
+  ]);
+  return !lastRun || lastRun.status === 'success' ? 0 : 1;
+}
+
+async function mirrors(mm, flags) {
+  await mm.loadMirrorlist();
+  await mm.probeMirrors();
+  const list = mm.syncState.mirrors;
+  print(list, flags.json === 'true', l => l.map(h => [
+    String(h.score).padStart(3),
+    (h.latencyMs === null ? '-' : `${h.latencyMs} ms`).padStart(8),
+    (h.lagSeconds === null ? '-' : `${Math.round(h.lagSeconds / 60)} min behind`).padStart(16),
+    ` ${h.mirror}${h.benched ? ` (benched: ${h.benchReason})` : ''}`
+  ].join(' ')));
+  return list.some(h => !h.benched) ? 0 : 1;
+}
+
+async function audit(mm, flags) {
+  process.on('SIGINT', () => {
+    mm.stopIntegrityAudit();
+    console.error('Stopping the audit');
+  });
+  const report = await mm.startIntegrityAudit({ full: flags.full === 'true' });
+  if (!report) throw new Error('the integrity audit failed, see the log');
+  const { counts } = mm.summarizeIntegrityReport(report);
+  print(report, flags.json === 'true', r => [
+    ...r.problems.map(p => `${p.kind.padEnd(11)} ${p.relPath}: ${p.detail}`),
+    `Audit ${r.status}${r.error ? ` (${r.error})` : ''}: ${r.checked} file(s) checked, ${r.hashed} hashed, ${formatBytes(r.bytesRead)} read`,
+    Object.entries(counts).map(([kind, count]) => `${count} ${kind}`).join(', ')
+  ]);
+  const broken = report.problems.filter(p => p.kind !== 'orphan').length;
+  return report.status === 'completed' && !broken ? 0 : 1;
+}
+
+const COMMANDS = { sync, status, mirrors, audit };
+
+function usageError(message) {
+  const err = new Error(message);
+  err.exitCode = 2;
+  return err;
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (args.flags.help || !args.command) {
+    console.log(USAGE);
+    return args.command || args.flags.help ? 0 : 2;
+  }
+  const command = COMMANDS[args.command];
+  if (!command) {
+    console.error(`Unknown command "${args.command}"\n\n${USAGE}`);
+    return 2;
+  }
+
+  // Flags beat .env (dotenv never overwrites what is already set) ...
+  Object.assign(process.env, args.env);
+  // ... and stdout is for the result, the log goes to stderr
+  console.log = args.flags.quiet === 'true' ? () => {} : console.error;
+  const mm = require('./index');
+
+  // ... and the settings saved from the admin panel
+  const overrides = Object.fromEntries(Object.entries(args.env).filter(([name]) => mm.SETTING_NAMES.includes(name)));
+  const { settings, errors } = mm.checkSettings(overrides);
+  if (Object.keys(errors).length) {
+    Object.entries(errors).forEach(([name, message]) => console.error(`--${name.toLowerCase().replace(/_/g, '-')}: ${message}`));
+    return 2;
+  }
+  mm.assignSettings(settings);
+  if (mm.CACHE_MODE && ['sync', 'audit'].includes(args.command)) {
+    console.error(`CACHE_MODE is set, there is nothing to ${args.command}`);
+    return 2;
+  }
+
+  try {
+    return await command(mm, args.flags);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    return err.exitCode || 1;
+  } finally {
+    // First delivery attempts of the notifications, retries are left to the app
+    await mm.waitForHooks();
+  }
+}
+
+// The app's timers would keep the process alive. Anything main() didn't catch (loading index.js,
+// delivering the hooks) is an error too, not an unhandled rejection.
+main().then(code => process.exit(code)).catch(err => {
+  console.error(`Error: ${err.message}`);
+  process.exit(1);
+});
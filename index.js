@@ -6,23 +6,125 @@ const { JSDOM } = require('jsdom');
 const express = require('express');
 const http = require('http');
 const WebSocket = require('ws');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const os = require('os');
+const { spawn } = require('child_process');
+const { EventEmitter, once } = require('events');
+const { Transform } = require('stream');
 
 // --- Config ---
 const ADMIN_PORT = process.env.ADMIN_PORT || 3000;
-const MIRRORS = (process.env.MIRRORS || 'https://mirror.rackspace.com/archlinux').split(',');
-const REPOS = ['core', 'extra', 'community'];
-const ARCH = process.env.ARCH || 'x86_64';
-const TIMEOUT_MS = parseInt(process.env.FILE_TIMEOUT_MS || '1000', 10);
-const DOWNLOAD_SPEED_LIMIT_KBPS = parseInt(process.env.DOWNLOAD_SPEED_LIMIT_KBPS || '-1', 10);
-const MULTITHREADED = process.env.MULTITHREADED === 'true';
+let MIRRORS = (process.env.MIRRORS || 'https://mirror.rackspace.com/archlinux').split(',');
+// rsync client used for rsync:// entries in MIRRORS
+const RSYNC_BIN = process.env.RSYNC_BIN || 'rsync';
+// Architectures of the repo trees to mirror (comma-separated)
+const ARCHES = (process.env.ARCH || 'x86_64').split(',').map(a => a.trim()).filter(Boolean);
+// These can be changed from the admin panel, see "Live configuration"
+let TIMEOUT_MS = parseInt(process.env.FILE_TIMEOUT_MS || '1000', 10);
+let DOWNLOAD_SPEED_LIMIT_KBPS = parseInt(process.env.DOWNLOAD_SPEED_LIMIT_KBPS || '-1', 10);
+let MULTITHREADED = process.env.MULTITHREADED === 'true';
+// Time-of-day caps overriding DOWNLOAD_SPEED_LIMIT_KBPS, e.g. `mon-fri 08:00-18:00=10240; 22:00-06:00=-1`
+let BANDWIDTH_SCHEDULE = process.env.BANDWIDTH_SCHEDULE || '';
 
 // Only include these top-level folders (comma-separated, configurable)
-const MIRROR_INCLUDE_FOLDERS = (process.env.MIRROR_INCLUDE_FOLDERS || 'core,extra,community,multilib').split(',').map(f => f.trim()).filter(Boolean);
+let MIRROR_INCLUDE_FOLDERS = (process.env.MIRROR_INCLUDE_FOLDERS || 'core,extra,community,multilib').split(',').map(f => f.trim()).filter(Boolean);
+
+// Sync targets (JSON file, or the JSON itself) with their own root, arches, include/exclude globs and
+// retention. Empty = one target per MIRROR_INCLUDE_FOLDERS entry
+const SYNC_TARGETS = process.env.SYNC_TARGETS || '';
+
+// Where the sync plan comes from: 'listing' crawls the HTML directory indexes,
+// 'repodb' reads the pacman repo databases (<repo>.db) of every included folder
+const SYNC_MODE = process.env.SYNC_MODE || 'listing';
+
+// Partial mirror (repodb mode only): package names, globs and groups to mirror with their dependencies,
+// and names/globs never to mirror. Empty = whole repos
+const PACKAGES = (process.env.PACKAGES || '').split(',').map(p => p.trim()).filter(Boolean);
+const PACKAGES_DENY = (process.env.PACKAGES_DENY || '').split(',').map(p => p.trim()).filter(Boolean);
+// Also follow makedepends, so the selection can build its packages too
+const PACKAGES_MAKEDEPENDS = process.env.PACKAGES_MAKEDEPENDS === 'true';
+
+// Downloads that fail size/SHA-256 verification are moved here instead of into mirror/
+const QUARANTINE_DIR = process.env.QUARANTINE_DIR || path.join(__dirname, 'quarantine');
+
+// Persistent state that must survive restarts (change detection metadata, ...)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// Pacman mirrorlist file or URL to take the mirrors from instead of MIRRORS (e.g. allmirrors.txt),
+// narrowed down by country, protocol and count, optionally keeping only the fastest N
+const MIRRORLIST = process.env.MIRRORLIST || '';
+const MIRRORLIST_COUNTRIES = (process.env.MIRRORLIST_COUNTRIES || '').split(',').map(c => c.trim().toLowerCase()).filter(Boolean);
+const MIRRORLIST_PROTOCOLS = (process.env.MIRRORLIST_PROTOCOLS || 'https').split(',').map(p => p.trim().toLowerCase()).filter(Boolean);
+const MIRRORLIST_MAX = parseInt(process.env.MIRRORLIST_MAX || '0', 10);
+const MIRRORLIST_FASTEST = parseInt(process.env.MIRRORLIST_FASTEST || '0', 10);
+
+// Cron expression (minute hour day-of-month month day-of-week, local time) for scheduled syncs
+const SYNC_SCHEDULE = process.env.SYNC_SCHEDULE || '';
+// Poll upstream lastupdate every N minutes and sync only when it changed (0 = off)
+const SYNC_POLL_MINUTES = parseFloat(process.env.SYNC_POLL_MINUTES || '0');
+
+// Admin panel users, comma-separated `name:role:scrypt:<salt>:<hash>` (role: viewer or operator)
+const ADMIN_USERS = process.env.ADMIN_USERS || '';
+// Bearer tokens for scripts, comma-separated `name:role:<token>`
+const ADMIN_TOKENS = process.env.ADMIN_TOKENS || '';
+const SESSION_TTL_HOURS = parseFloat(process.env.SESSION_TTL_HOURS || '12');
+
+// Number of sync reports kept in data/history
+const SYNC_HISTORY_LIMIT = parseInt(process.env.SYNC_HISTORY_LIMIT || '200', 10);
+
+// Built-in package server for the mirror tree (empty = off, use Caddy/Nginx instead)
+const SERVE_PORT = process.env.SERVE_PORT || '';
+// Path prefix the mirror is served under, e.g. /archlinux
+const SERVE_PATH = '/' + (process.env.SERVE_PATH || '').replace(/^\/+|\/+$/g, '');
+// Pull-through cache instead of full syncs: the package server fetches missing files from MIRRORS on request
+const CACHE_MODE = process.env.CACHE_MODE === 'true';
+// Evict the least recently used files once the cache is bigger than this (0 = no limit)
+const CACHE_MAX_SIZE_GB = parseFloat(process.env.CACHE_MAX_SIZE_GB || '0');
+// Seconds a cached repo database is served before it is checked against the mirror again
+const CACHE_DB_TTL_SECONDS = parseInt(process.env.CACHE_DB_TTL_SECONDS || '300', 10);
+
+// Mirrors whose lastsync is this far behind the freshest mirror are benched for the run
+const MIRROR_MAX_LAG_HOURS = parseFloat(process.env.MIRROR_MAX_LAG_HOURS || '24');
+// Automatic retries of a file that failed on every mirror before it waits for a manual retry
+const RETRY_MAX_ATTEMPTS = parseInt(process.env.RETRY_MAX_ATTEMPTS || '10', 10);
+
+// Consecutive failed downloads before a mirror is benched for the run
+const MIRROR_MAX_FAILURES = parseInt(process.env.MIRROR_MAX_FAILURES || '5', 10);
+
+// Prune local files that are gone upstream: off, dry-run (list them, confirm in the admin panel) or auto
+const PRUNE = process.env.PRUNE || 'off';
+// Versions of each package to keep, counting the current upstream one (1 = only what upstream has)
+const PRUNE_KEEP_VERSIONS = Math.max(1, parseInt(process.env.PRUNE_KEEP_VERSIONS || '1', 10));
+// Days a file must have been gone upstream before it is deleted
+const PRUNE_MIN_AGE_DAYS = parseFloat(process.env.PRUNE_MIN_AGE_DAYS || '0');
+
+// Read rate cap (KB/s) of the integrity audit's checksums, so it doesn't starve the package server (-1 = none)
+const INTEGRITY_READ_KBPS = parseInt(process.env.INTEGRITY_READ_KBPS || '10240', 10);
+
+// Publish a dated, hardlinked copy of the mirror after every successful sync (like the Arch Linux Archive)
+const SNAPSHOTS = process.env.SNAPSHOTS === 'true';
+// Where snapshots go, relative to the mirror directory so they are served along with it
+const SNAPSHOT_PATH = (process.env.SNAPSHOT_PATH || 'snapshots').replace(/^\/+|\/+$/g, '');
+// Keep every snapshot of the last N days, and the first one of each of the last M months
+const SNAPSHOT_KEEP_DAILY = parseInt(process.env.SNAPSHOT_KEEP_DAILY || '30', 10);
+const SNAPSHOT_KEEP_MONTHLY = parseInt(process.env.SNAPSHOT_KEEP_MONTHLY || '12', 10);
+
+// Webhooks (comma-separated URLs) that get a JSON POST for every sync lifecycle event
+const WEBHOOK_URLS = (process.env.WEBHOOK_URLS || '').split(',').map(u => u.trim()).filter(Boolean);
+// Shared secret for the X-MirrorMaster-Signature header (HMAC-SHA256 of the body)
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || '';
+// Shell command that gets every event as JSON on stdin
+const HOOK_COMMAND = process.env.HOOK_COMMAND || '';
+// Only send these events (comma-separated, empty = all)
+const HOOK_EVENTS = (process.env.HOOK_EVENTS || '').split(',').map(e => e.trim()).filter(Boolean);
+// Send a disk.threshold event when the mirror grows past this many GB (0 = off)
+const DISK_USAGE_ALERT_GB = parseFloat(process.env.DISK_USAGE_ALERT_GB || '0');
 
 // --- Web server setup (unchanged) ---
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+const wss = new WebSocket.Server({ server, verifyClient: verifyWebSocketClient });
 
 let syncState = {
   currentTask: 'Idle',
@@ -38,14 +140,36 @@ let syncState = {
   currentFileSpeed: 0,
   log: [],
   currentTasks: [],
-  currentWorkers: 0
+  currentWorkers: 0,
+  verificationFailures: [],
+  quarantinedCount: 0,
+  unsignedPackages: [],
+  prune: null,
+  mirrors: [],
+  scheduler: {
+    schedule: SYNC_SCHEDULE || null,
+    pollMinutes: SYNC_POLL_MINUTES || null,
+    nextRun: null,
+    lastTrigger: null,
+    lastTriggerAt: null,
+    lastPollAt: null,
+    nextPollAt: null
+  },
+  serveStats: null,
+  lastRun: null,
+  retryQueue: { waiting: 0, givenUp: 0, nextRetryAt: null },
+  bandwidth: null,
+  snapshots: [],
+  integrity: null
 };
 
 const LOG_LIMIT = 200;
+const VERIFICATION_FAILURE_LIMIT = 50;
 
 function addLog(msg) {
   const line = `[${new Date().toLocaleTimeString()}] ${msg}`;
   syncState.log.push(line);
+  logSeq++;
   if (syncState.log.length > LOG_LIMIT) syncState.log = syncState.log.slice(-LOG_LIMIT);
   broadcastState();
   // Also print to console
@@ -54,26 +178,111 @@ function addLog(msg) {
 
 let syncAbortController = { stop: false };
 
-function getDiskUsage(dir) {
-  // Simple disk usage: sum file sizes in dir (recursive)
+// --- Disk usage ---
+
+const DISK_RECONCILE_INTERVAL = 30 * 60 * 1000; // ms, a full walk corrects drift from changes behind our back
+
+// Bytes under mirror/, adjusted as files are committed and pruned instead of walking the tree every time
+let diskUsageBytes = 0;
+let reconcilingDiskUsage = null;
+
+function adjustDiskUsage(delta) {
+  diskUsageBytes = Math.max(0, diskUsageBytes + delta);
+  syncState.diskUsage = diskUsageBytes;
+  broadcastState();
+  checkDiskUsageAlert();
+}
+
+// Sum of file sizes in dir (recursive), async so a big mirror doesn't block the event loop.
+// Unfinished .part downloads don't count, hardlinked files (snapshots) count once
+async function getDiskUsage(dir) {
   let total = 0;
-  function walk(p) {
-    if (fs.existsSync(p)) {
-      const stat = fs.statSync(p);
-      if (stat.isDirectory()) {
-        fs.readdirSync(p).forEach(f => walk(path.join(p, f)));
-      } else {
+  const seenInodes = new Set();
+  async function walk(p) {
+    let entries;
+    try {
+      entries = await fs.readdir(p, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      const full = path.join(p, entry.name);
+      if (entry.isDirectory()) {
+        await walk(full);
+      } else if (entry.isFile() && !entry.name.endsWith('.part')) {
+        const stat = await fs.stat(full).catch(() => null);
+        if (!stat) continue;
+        if (stat.nlink > 1) {
+          const inode = `${stat.dev}:${stat.ino}`;
+          if (seenInodes.has(inode)) continue;
+          seenInodes.add(inode);
+        }
         total += stat.size;
       }
     }
   }
-  walk(dir);
+  await walk(dir);
   return total;
 }
 
+function reconcileDiskUsage() {
+  if (reconcilingDiskUsage) return reconcilingDiskUsage;
+  reconcilingDiskUsage = getDiskUsage(path.join(__dirname, 'mirror'))
+    .then(total => {
+      diskUsageBytes = total;
+      syncState.diskUsage = total;
+      broadcastState();
+      checkDiskUsageAlert();
+    })
+    .finally(() => {
+      reconcilingDiskUsage = null;
+    });
+  return reconcilingDiskUsage;
+}
+
+// Move a finished download over its final name, counting only the size difference. A replaced file
+// that is still linked from a snapshot keeps taking space
+async function moveIntoPlace(partPath, localPath) {
+  const previous = await fs.stat(localPath).catch(() => null);
+  const { size } = await fs.stat(partPath);
+  await fs.rename(partPath, localPath);
+  adjustDiskUsage(size - (previous && previous.nlink === 1 ? previous.size : 0));
+  return Boolean(previous);
+}
+
+// --- State broadcasting ---
+
+const BROADCAST_INTERVAL = 500; // ms, clients get at most this many updates however busy the workers are
+
+let broadcastTimer = null;
+// JSON of every syncState key as last sent, to send only what changed
+let lastBroadcast = {};
+// Log lines ever added, and how many of them went out already
+let logSeq = 0;
+let broadcastLogSeq = 0;
+
+// Coalesce: whatever changes until the timer fires goes out as one patch
 function broadcastState() {
-  syncState.diskUsage = getDiskUsage(path.join(__dirname, 'mirror'));
-  const msg = JSON.stringify(syncState);
+  if (!broadcastTimer) broadcastTimer = setTimeout(flushState, BROADCAST_INTERVAL);
+}
+
+function flushState() {
+  clearTimeout(broadcastTimer);
+  broadcastTimer = null;
+  const patch = {};
+  for (const [key, value] of Object.entries(syncState)) {
+    if (key === 'log') continue;
+    const json = JSON.stringify(value);
+    if (json !== lastBroadcast[key]) {
+      lastBroadcast[key] = json;
+      patch[key] = value;
+    }
+  }
+  // New log lines only, not the whole log
+  const newLines = Math.min(logSeq - broadcastLogSeq, syncState.log.length);
+  broadcastLogSeq = logSeq;
+  if (!Object.keys(patch).length && !newLines) return;
+  const msg = JSON.stringify({ patch, logAppend: newLines ? syncState.log.slice(-newLines) : [] });
   wss.clients.forEach(client => {
     if (client.readyState === WebSocket.OPEN) {
       client.send(msg);
@@ -81,456 +290,3531 @@ function broadcastState() {
   });
 }
 
+// --- Authentication ---
+
+const ROLES = { viewer: 1, operator: 2 };
+const SESSION_COOKIE = 'mm_session';
+const AUDIT_LOG_PATH = path.join(DATA_DIR, 'audit.log');
+// Sessions are signed with a per-process secret, a restart logs everyone out
+const SESSION_SECRET = crypto.randomBytes(32);
+
+function parseCredentialList(list) {
+  return list.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const [name, role, ...rest] = entry.split(':');
+    if (!ROLES[role]) throw new Error(`unknown role "${role}" for ${name}, use viewer or operator`);
+    return { name, role, secret: rest.join(':') };
+  });
+}
+
+// A hash that isn't hex decodes to an empty buffer, which would match any password
+function checkPasswordHash(user) {
+  const [scheme, salt, hash] = user.secret.split(':');
+  if (scheme !== 'scrypt' || !salt || !/^([0-9a-f]{2}){16,}$/i.test(hash || '')) {
+    throw new Error(`password of ${user.name} must be scrypt:<salt>:<hash>, with a hex hash of at least 16 bytes`);
+  }
+}
+
+let adminUsers = [];
+let adminTokens = [];
+try {
+  adminUsers = parseCredentialList(ADMIN_USERS);
+  adminUsers.forEach(checkPasswordHash);
+  adminTokens = parseCredentialList(ADMIN_TOKENS);
+} catch (err) {
+  console.error(`Invalid ADMIN_USERS/ADMIN_TOKENS: ${err.message}`);
+  process.exit(1);
+}
+const AUTH_ENABLED = adminUsers.length > 0 || adminTokens.length > 0;
+
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+// Stored as scrypt:<salt>:<hex hash>, checked at startup. Async so a burst of logins doesn't block the event loop.
+function verifyPassword(password, stored) {
+  const [, salt, hash] = stored.split(':');
+  const expected = Buffer.from(hash, 'hex');
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, expected.length, (err, actual) => {
+      if (err) reject(err);
+      else resolve(crypto.timingSafeEqual(expected, actual));
+    });
+  });
+}
+
+function signSession(user) {
+  const expires = Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000;
+  const payload = `${user.name}:${user.role}:${expires}`;
+  const mac = crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest('hex');
+  return Buffer.from(`${payload}:${mac}`).toString('base64url');
+}
+
+function verifySession(token) {
+  const [name, role, expires, mac] = Buffer.from(token, 'base64url').toString().split(':');
+  const expected = crypto.createHmac('sha256', SESSION_SECRET).update(`${name}:${role}:${expires}`).digest('hex');
+  if (!mac || !safeEqual(mac, expected) || Date.now() > parseInt(expires, 10)) return null;
+  return { name, role, via: 'session' };
+}
+
+function getCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+// Who is making this request: Basic (users), Bearer or ?token= (tokens), or the session cookie
+async function authenticate(req) {
+  if (!AUTH_ENABLED) return { name: 'anonymous', role: 'operator', via: 'none' };
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Basic ')) {
+    const [name, ...password] = Buffer.from(header.slice(6), 'base64').toString().split(':');
+    const user = adminUsers.find(u => u.name === name);
+    if (user && await verifyPassword(password.join(':'), user.secret)) return { name: user.name, role: user.role, via: 'password' };
+    return null;
+  }
+  const token = header.startsWith('Bearer ')
+    ? header.slice(7).trim()
+    : new URL(req.url, 'http://localhost').searchParams.get('token');
+  if (token) {
+    const match = adminTokens.find(t => safeEqual(t.secret, token));
+    return match ? { name: match.name, role: match.role, via: 'token' } : null;
+  }
+  const session = getCookie(req, SESSION_COOKIE);
+  return session ? verifySession(session) : null;
+}
+
+function hasRole(user, role) {
+  return Boolean(user) && ROLES[user.role] >= ROLES[role];
+}
+
+// Origin: null (sandboxed frames, file:// pages) and other unparseable origins count as foreign
+function originHost(origin) {
+  try {
+    return new URL(origin).host;
+  } catch {
+    return null;
+  }
+}
+
+// Browsers attach a remembered Basic login and the session cookie to cross-site requests too, so those
+// may only change anything when they come from our own pages. No Origin at all is curl or a script.
+// A reverse proxy may pass the public host in X-Forwarded-Host, which a cross-site page can't set.
+function isCrossSite(req) {
+  if (req.headers['sec-fetch-site'] === 'cross-site') return true;
+  const origin = req.headers.origin;
+  if (!origin) return false;
+  const host = originHost(origin);
+  return host !== req.headers.host && host !== req.headers['x-forwarded-host'];
+}
+
+function viaBrowser(user) {
+  return user.via === 'password' || user.via === 'session';
+}
+
+// Express middleware. Browsers get a Basic auth prompt, then a session cookie so the
+// WebSocket (which can't send an Authorization header) is authenticated too.
+function requireRole(role) {
+  return async (req, res, next) => {
+    let user;
+    try {
+      user = await authenticate(req);
+    } catch (err) {
+      return next(err);
+    }
+    if (!user) {
+      res.set('WWW-Authenticate', 'Basic realm="MirrorMaster", charset="UTF-8"');
+      return res.status(401).send('Authentication required');
+    }
+    if (!hasRole(user, role)) return res.status(403).send('Forbidden');
+    if (viaBrowser(user) && !['GET', 'HEAD', 'OPTIONS'].includes(req.method) && isCrossSite(req)) {
+      return res.status(403).send('Cross-origin request');
+    }
+    if (user.via === 'password') {
+      res.cookie(SESSION_COOKIE, signSession(user), {
+        httpOnly: true,
+        sameSite: 'strict',
+        // Over https, directly or behind a proxy that says so
+        secure: req.secure || req.headers['x-forwarded-proto'] === 'https',
+        maxAge: SESSION_TTL_HOURS * 60 * 60 * 1000
+      });
+    }
+    req.user = user;
+    next();
+  };
+}
+
+async function verifyWebSocketClient(info, done) {
+  let user;
+  try {
+    user = await authenticate(info.req);
+  } catch {
+    return done(false, 500, 'Authentication failed');
+  }
+  if (!user) return done(false, 401, 'Authentication required');
+  // The socket starts and stops syncs, so even its handshake (a GET) counts as changing state
+  if (viaBrowser(user) && isCrossSite(info.req)) return done(false, 403, 'Cross-origin WebSocket');
+  info.req.user = user;
+  done(true);
+}
+
+// Who did what, in the panel log and appended to data/audit.log
+function audit(user, action, detail = '') {
+  addLog(`Audit: ${user.name} (${user.role}) ${action}${detail ? ' ' + detail : ''}`);
+  const entry = { time: new Date().toISOString(), user: user.name, role: user.role, via: user.via, action, detail };
+  fs.outputFile(AUDIT_LOG_PATH, JSON.stringify(entry) + '\n', { flag: 'a' }).catch(() => {});
+}
+
 // --- WebSocket control for start/stop ---
-wss.on('connection', ws => {
+wss.on('connection', (ws, req) => {
+  const user = req.user;
+  ws.send(JSON.stringify({ session: { name: user.name, role: user.role, authEnabled: AUTH_ENABLED } }));
+  // Send what is pending to the others first, the full state below already contains it
+  if (broadcastTimer) flushState();
   ws.send(JSON.stringify(syncState));
   ws.on('message', msg => {
     try {
       const data = JSON.parse(msg);
+      if (['stop', 'start', 'prune'].includes(data.action) && !hasRole(user, 'operator')) {
+        audit(user, `denied ${data.action}`);
+        ws.send(JSON.stringify({ error: `Only operators may start, stop or prune, ${user.name} is a viewer` }));
+        return;
+      }
+      // Like /api/stop and /api/sync: the stopped run clears `running` itself once it has unwound,
+      // and only then may the next one start. Stop also ends a run of the retry queue
       if (data.action === 'stop') {
-        syncAbortController.stop = true;
-        syncState.running = false;
-        syncState.currentTask = 'Stopped by user';
-        broadcastState();
+        if (activeSync || activeRetry) {
+          audit(user, 'stop');
+          syncAbortController.stop = true;
+          syncState.currentTask = 'Stopped by user';
+          broadcastState();
+        }
       } else if (data.action === 'start') {
-        if (!syncState.running) {
+        if (!activeSync) {
+          audit(user, 'start');
           syncAbortController.stop = false;
           syncState.currentTask = 'Starting download...';
           broadcastState();
-          syncMirror();
+          syncMirror(`manual (${user.name})`);
+        } else {
+          ws.send(JSON.stringify({ error: 'A sync is still running or stopping' }));
+        }
+      } else if (data.action === 'prune') {
+        // A retry or a stopped sync that is still unwinding may be writing the files in the list
+        if (!activeSync && !activeRetry) {
+          audit(user, 'prune', `${syncState.prune ? syncState.prune.files : 0} file(s)`);
+          applyPrune();
+        } else {
+          ws.send(JSON.stringify({ error: 'A sync or retry is running, prune once it is over' }));
         }
       }
     } catch {}
   });
 });
 
-app.use('/admin', express.static(path.join(__dirname, 'admin.html')));
+app.use('/admin', requireRole('viewer'), express.static(path.join(__dirname, 'admin.html')));
+
+// --- REST API and metrics ---
+
+const RECENT_FAILURES_LIMIT = 200;
+
+// Counters for /metrics, since process start
+const metrics = {
+  bytesByMirror: {},
+  failuresByMirror: {},
+  filesSynced: 0,
+  lastSyncDurationSeconds: null,
+  lastSuccessTimestamp: null
+};
+
+// Files that failed on every mirror, newest last
+let recentFailures = [];
 
-server.listen(ADMIN_PORT, () => {
-  console.log(`Admin interface: http://localhost:${ADMIN_PORT}/admin`);
+function recordFileFailure(fileObj, err) {
+  recentFailures.push({ relPath: fileObj.relPath, error: err ? err.message : 'unknown error', time: new Date().toISOString() });
+  if (recentFailures.length > RECENT_FAILURES_LIMIT) recentFailures = recentFailures.slice(-RECENT_FAILURES_LIMIT);
+}
+
+const api = express.Router();
+api.use(express.json());
+
+api.get('/status', requireRole('viewer'), (req, res) => {
+  res.json(syncState);
 });
 
-// --- Mirror sync logic ---
-
-async function fetchFileList(repo, mirror) {
-  const url = `${mirror}/${repo}/os/${ARCH}/`;
-  const res = await axios.get(url, { timeout: 10000 });
-  const dom = new JSDOM(res.data);
-  const links = [...dom.window.document.querySelectorAll('a')];
-  // Return objects with filename and href for correct structure
-  return links
-    .map(a => ({
-      name: a.textContent,
-      href: a.getAttribute('href')
-    }))
-    .filter(link => !link.href.startsWith('?') && !link.href.startsWith('/'))
-    .filter(link => !link.href.endsWith('/'));
+// Body: { "targets": ["core"] } to sync only some of the targets (the folder names without SYNC_TARGETS)
+api.post('/sync', requireRole('operator'), (req, res) => {
+  const targets = req.body && (req.body.targets || req.body.folders);
+  const names = syncTargets.map(t => t.name);
+  if (targets !== undefined) {
+    const unknown = Array.isArray(targets) ? targets.filter(t => !names.includes(t)) : ['(not a list)'];
+    if (unknown.length || !targets.length) {
+      return res.status(400).json({ error: `targets must be a non-empty subset of ${names.join(', ')}`, unknown });
+    }
+  }
+  if (activeSync) return res.status(409).json({ error: 'A sync is already running' });
+  audit(req.user, 'start', targets ? `targets=${targets.join(',')}` : '');
+  syncAbortController.stop = false;
+  syncMirror(`api (${req.user.name})`, { targets });
+  res.status(202).json({ started: true, targets: targets || names });
+});
+
+api.post('/stop', requireRole('operator'), (req, res) => {
+  if (!activeSync && !activeRetry) return res.status(409).json({ error: 'No sync or retry is running' });
+  audit(req.user, 'stop');
+  syncAbortController.stop = true;
+  syncState.currentTask = 'Stopped by user';
+  broadcastState();
+  res.json({ stopping: true });
+});
+
+api.get('/failures', requireRole('viewer'), (req, res) => {
+  res.json({ failures: recentFailures.slice().reverse(), verificationFailures: syncState.verificationFailures });
+});
+
+api.get('/history', requireRole('viewer'), async (req, res) => {
+  try {
+    const runs = await Promise.all((await listRunIds()).map(readRun));
+    res.json(runs.filter(Boolean).map(summarizeRun));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Every stored report in full, as a file download
+api.get('/history/export', requireRole('viewer'), async (req, res) => {
+  try {
+    const runs = await Promise.all((await listRunIds()).map(readRun));
+    res.attachment(`mirrormaster-history-${new Date().toISOString().slice(0, 10)}.json`);
+    res.json(runs.filter(Boolean));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+api.get('/history/:id', requireRole('viewer'), async (req, res) => {
+  try {
+    const run = await readRun(req.params.id);
+    if (!run) return res.status(404).json({ error: 'No such run' });
+    if (req.query.download) res.attachment(`mirrormaster-run-${run.id}.json`);
+    res.json(run);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.use('/api', api);
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
 }
 
-function getRelativeMirrorPath(repo, fileObj) {
-  // fileObj.href is relative to /repo/os/ARCH/
-  // We want: repo/os/ARCH/<fileObj.href>
-  // Remove any leading './' or '/' from href
-  let cleanHref = fileObj.href.replace(/^\.?\//, '');
-  // This ensures files go to mirror/core/os/x86_64, mirror/extra/os/x86_64, etc.
-  return path.join(repo, 'os', ARCH, cleanHref);
+// Prometheus text exposition format
+app.get('/metrics', requireRole('viewer'), (req, res) => {
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [labels, value] of samples) {
+      if (value === null || value === undefined) continue;
+      const labelText = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',');
+      lines.push(`${name}${labelText ? `{${labelText}}` : ''} ${value}`);
+    }
+  };
+  metric('mirrormaster_downloaded_bytes_total', 'counter', 'Bytes downloaded per upstream mirror',
+    Object.entries(metrics.bytesByMirror).map(([mirror, bytes]) => [{ mirror }, bytes]));
+  metric('mirrormaster_download_failures_total', 'counter', 'Failed download attempts per upstream mirror',
+    Object.entries(metrics.failuresByMirror).map(([mirror, count]) => [{ mirror }, count]));
+  metric('mirrormaster_files_synced_total', 'counter', 'Files downloaded and verified', [[{}, metrics.filesSynced]]);
+  metric('mirrormaster_sync_running', 'gauge', '1 while a sync is running', [[{}, activeSync ? 1 : 0]]);
+  metric('mirrormaster_last_sync_duration_seconds', 'gauge', 'Duration of the last finished sync', [[{}, metrics.lastSyncDurationSeconds]]);
+  metric('mirrormaster_last_success_timestamp_seconds', 'gauge', 'Unix time of the last sync that finished without stops or failed files',
+    [[{}, metrics.lastSuccessTimestamp]]);
+  metric('mirrormaster_disk_usage_bytes', 'gauge', 'Size of the local mirror directory', [[{}, syncState.diskUsage]]);
+  metric('mirrormaster_mirror_score', 'gauge', 'Health score per upstream mirror (0-100)',
+    syncState.mirrors.map(h => [{ mirror: h.mirror }, h.score]));
+  if (integrityReport) {
+    const { counts } = summarizeIntegrityReport(integrityReport);
+    metric('mirrormaster_integrity_problems', 'gauge', 'Problems found by the last integrity audit per kind',
+      Object.entries(counts).map(([kind, count]) => [{ kind }, count]));
+  }
+  if (CACHE_MODE) {
+    metric('mirrormaster_cache_requests_total', 'counter', 'Package server requests answered from the cache (hit) or a mirror (miss)',
+      [[{ result: 'hit' }, cacheStats.hits], [{ result: 'miss' }, cacheStats.misses]]);
+    metric('mirrormaster_cache_evicted_files_total', 'counter', 'Files evicted from the cache', [[{}, cacheStats.evicted]]);
+  }
+  res.type('text/plain; version=0.0.4').send(lines.join('\n') + '\n');
+});
+
+function startAdminServer() {
+  if (!AUTH_ENABLED) {
+    console.warn('Warning: no ADMIN_USERS or ADMIN_TOKENS configured, the admin interface is open to anyone who can reach it');
+  }
+  server.listen(ADMIN_PORT, () => {
+    console.log(`Admin interface: http://localhost:${ADMIN_PORT}/admin`);
+  });
 }
 
-async function downloadFile(repo, fileObj, mirrors) {
-  let lastError;
-  for (const mirror of mirrors) {
-    // Build the correct relative path from the href (to preserve structure)
-    const remoteUrl = new URL(`${mirror}/${repo}/os/${ARCH}/`);
-    const fileUrl = new URL(fileObj.href, remoteUrl);
-    const relPath = getRelativeMirrorPath(repo, fileObj);
-    const localPath = path.join(__dirname, 'mirror', relPath);
-
-    // Check if file exists and is up-to-date
-    if (await fs.pathExists(localPath)) {
-      return;
+// --- Package server ---
+
+const MIRROR_DIR = path.join(__dirname, 'mirror');
+const SERVE_STATS_PATH = path.join(DATA_DIR, 'serve-stats.json');
+const SERVE_TOP_FILES = 20;
+
+const CONTENT_TYPES = {
+  '.zst': 'application/zstd',
+  '.xz': 'application/x-xz',
+  '.gz': 'application/gzip',
+  '.sig': 'application/pgp-signature',
+  '.db': 'application/octet-stream',
+  '.files': 'application/octet-stream',
+  '.links': 'application/octet-stream'
+};
+
+// Downloads served, in total and per repo (top-level folder) and file
+let serveStats = { requests: 0, bytes: 0, repos: {}, files: {} };
+let serveStatsDirty = false;
+try {
+  serveStats = { ...serveStats, ...fs.readJsonSync(SERVE_STATS_PATH) };
+} catch {}
+
+function recordServedFile(relPath, bytes) {
+  const repo = relPath.split('/')[0] || '/';
+  serveStats.requests++;
+  serveStats.bytes += bytes;
+  serveStats.repos[repo] = serveStats.repos[repo] || { requests: 0, bytes: 0 };
+  serveStats.repos[repo].requests++;
+  serveStats.repos[repo].bytes += bytes;
+  serveStats.files[relPath] = serveStats.files[relPath] || { requests: 0, bytes: 0 };
+  serveStats.files[relPath].requests++;
+  serveStats.files[relPath].bytes += bytes;
+  serveStatsDirty = true;
+}
+
+// The panel only gets totals, per-repo numbers and the most requested files
+function publishServeStats() {
+  const topFiles = Object.entries(serveStats.files)
+    .sort((a, b) => b[1].requests - a[1].requests)
+    .slice(0, SERVE_TOP_FILES)
+    .map(([relPath, stats]) => ({ relPath, ...stats }));
+  syncState.serveStats = { requests: serveStats.requests, bytes: serveStats.bytes, repos: serveStats.repos, topFiles };
+}
+
+// req.path decoded, null for malformed escapes like %E0%A4%A
+function decodeRequestPath(req) {
+  try {
+    return decodeURIComponent(req.path);
+  } catch {
+    return null;
+  }
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// Apache-style "Index of" page, so browsers and tools that scrape listings (like this one) work
+async function renderDirectoryListing(urlPath, dir) {
+  const entries = (await fs.readdir(dir, { withFileTypes: true }))
+    .filter(e => !e.name.startsWith('.') && !e.name.endsWith('.part'))
+    .sort((a, b) => (b.isDirectory() - a.isDirectory()) || a.name.localeCompare(b.name));
+  const rows = [];
+  if (urlPath !== SERVE_PATH.replace(/\/?$/, '/')) rows.push('<a href="../">../</a>');
+  for (const entry of entries) {
+    // stat follows symlinks, so snapshots/latest lists as the directory it points to
+    const stat = await fs.stat(path.join(dir, entry.name)).catch(() => null);
+    if (!stat) continue;
+    const name = stat.isDirectory() ? entry.name + '/' : entry.name;
+    const date = stat.mtime.toISOString().slice(0, 16).replace('T', ' ');
+    const size = stat.isDirectory() ? '-' : String(stat.size);
+    rows.push(`<a href="${encodeURIComponent(entry.name)}${stat.isDirectory() ? '/' : ''}">${escapeHtml(name)}</a>${' '.repeat(Math.max(1, 60 - name.length))}${date}${size.padStart(20)}`);
+  }
+  const title = `Index of ${escapeHtml(urlPath)}`;
+  return `<!DOCTYPE html>\n<html><head><title>${title}</title></head><body>\n<h1>${title}</h1><hr><pre>\n${rows.join('\n')}\n</pre><hr></body></html>\n`;
+}
+
+function createPackageServer() {
+  const pkgApp = express();
+  const router = express.Router();
+
+  // Unfinished downloads and dotfiles are not part of the mirror
+  router.use((req, res, next) => {
+    if (/\.part$/.test(req.path) || /(^|\/)\./.test(req.path)) return res.sendStatus(404);
+    next();
+  });
+
+  router.use((req, res, next) => {
+    res.on('finish', () => {
+      if (req.method !== 'GET' || res.locals.isListing || (res.statusCode !== 200 && res.statusCode !== 206)) return;
+      const bytes = parseInt(res.getHeader('Content-Length') || '0', 10);
+      recordServedFile(decodeURIComponent(req.path).replace(/^\/+/, ''), bytes);
+    });
+    next();
+  });
+
+  if (CACHE_MODE) router.use(serveFromCache);
+
+  // express.static handles Range, If-Modified-Since and ETags
+  router.use(express.static(MIRROR_DIR, {
+    index: false,
+    dotfiles: 'ignore',
+    setHeaders: (res, filePath) => {
+      const type = CONTENT_TYPES[path.extname(filePath)];
+      if (type) res.setHeader('Content-Type', type);
+      // Databases change in place, make clients revalidate them
+      if (isMutableFile(filePath)) res.setHeader('Cache-Control', 'no-cache');
     }
+  }));
 
+  router.get('*', async (req, res, next) => {
+    const dir = path.join(MIRROR_DIR, decodeURIComponent(req.path));
+    if (dir !== MIRROR_DIR && !dir.startsWith(MIRROR_DIR + path.sep)) return res.sendStatus(403);
     try {
-      addLog(`Downloading ${relPath} from ${mirror}...`);
-      const res = await axios.get(fileUrl.href, { responseType: 'stream', timeout: 30000 });
-      await fs.ensureDir(path.dirname(localPath));
-      const writer = fs.createWriteStream(localPath);
-
-      // Track progress
-      let received = 0;
-      let total = parseInt(res.headers['content-length'] || '0', 10);
-      let lastReceived = 0;
-      let lastTime = Date.now();
-      syncState.currentFileSpeed = 0;
-
-      res.data.on('data', chunk => {
-        received += chunk.length;
-        // Progress %
-        syncState.currentFileProgress = total > 0 ? Math.round((received / total) * 100) : 0;
-        // Speed (bytes/sec)
-        const now = Date.now();
-        if (now - lastTime >= 1000) {
-          syncState.currentFileSpeed = Math.round((received - lastReceived) / ((now - lastTime) / 1000));
-          lastReceived = received;
-          lastTime = now;
-        }
-        broadcastState();
-      });
+      if (!(await fs.stat(dir)).isDirectory()) return next();
+    } catch {
+      return next();
+    }
+    if (!req.path.endsWith('/')) return res.redirect(301, req.baseUrl + req.path + '/');
+    res.locals.isListing = true;
+    res.type('html').send(await renderDirectoryListing(req.baseUrl + req.path, dir));
+  });
 
-      // Throttle if needed
-      if (DOWNLOAD_SPEED_LIMIT_KBPS > 0) {
-        const stream = res.data;
-        let bytesThisSecond = 0;
-        let throttleLastTime = Date.now();
-        stream.on('data', chunk => {
-          bytesThisSecond += chunk.length;
-          const now = Date.now();
-          if (bytesThisSecond > DOWNLOAD_SPEED_LIMIT_KBPS * 1024) {
-            const elapsed = now - throttleLastTime;
-            if (elapsed < 1000) {
-              stream.pause();
-              setTimeout(() => {
-                bytesThisSecond = 0;
-                throttleLastTime = Date.now();
-                stream.resume();
-              }, 1000 - elapsed);
-            } else {
-              bytesThisSecond = 0;
-              throttleLastTime = now;
-            }
-          }
-        });
-        stream.pipe(writer);
-      } else {
-        res.data.pipe(writer);
+  pkgApp.use(SERVE_PATH, router);
+  return pkgApp;
+}
+
+function startPackageServer() {
+  publishServeStats();
+  http.createServer(createPackageServer()).listen(SERVE_PORT, () => {
+    console.log(`Package server: http://localhost:${SERVE_PORT}${SERVE_PATH}`);
+  });
+  // Refresh the panel numbers and persist them now and then rather than on every request
+  setInterval(() => {
+    if (!serveStatsDirty) return;
+    serveStatsDirty = false;
+    publishServeStats();
+    fs.outputJson(SERVE_STATS_PATH, serveStats).catch(() => {});
+  }, 5000);
+}
+
+// --- Caching proxy ---
+
+const CACHE_INDEX_PATH = path.join(DATA_DIR, 'cache-index.json');
+const CACHE_PATH_RE = /^[^/]+\/os\/[^/]+\/[^/]+$/; // <repo>/os/<arch>/<file>, what pacman asks for
+const CACHE_READ_CHUNK = 64 * 1024;
+const CACHE_PROBE_INTERVAL = 60 * 60 * 1000; // no syncs to probe the mirrors, do it hourly
+
+// relPath -> { size, lastAccess, checkedAt } of every cached file, for LRU eviction and database TTLs
+let cacheIndex = {};
+let cacheIndexDirty = false;
+// relPath -> promise of the download every request for that file shares while it is fetched
+const cacheDownloads = new Map();
+const cacheStats = { hits: 0, misses: 0, evicted: 0 };
+let evictingCache = false;
+
+function publishCacheStats() {
+  syncState.cache = {
+    files: Object.keys(cacheIndex).length,
+    bytes: diskUsageBytes,
+    maxBytes: CACHE_MAX_SIZE_GB * 1024 ** 3,
+    hits: cacheStats.hits,
+    misses: cacheStats.misses,
+    evicted: cacheStats.evicted,
+    downloading: cacheDownloads.size
+  };
+  broadcastState();
+}
+
+function touchCacheEntry(relPath, changes = {}) {
+  cacheIndex[relPath] = { ...cacheIndex[relPath], lastAccess: Date.now(), ...changes };
+  cacheIndexDirty = true;
+}
+
+// Files cached before a restart (or left by earlier full syncs) count as used when they were last modified
+async function loadCacheIndex() {
+  const saved = await fs.readJson(CACHE_INDEX_PATH).catch(() => ({}));
+  cacheIndex = {};
+  for (const relPath of await listLocalFiles('')) {
+    if (!CACHE_PATH_RE.test(relPath)) continue;
+    const stat = await fs.stat(path.join(MIRROR_DIR, relPath)).catch(() => null);
+    if (!stat) continue;
+    cacheIndex[relPath] = { lastAccess: stat.mtimeMs, checkedAt: 0, ...saved[relPath], size: stat.size };
+  }
+  publishCacheStats();
+}
+
+// Delete the least recently used files until the mirror directory fits CACHE_MAX_SIZE_GB again
+async function evictCache() {
+  const maxBytes = CACHE_MAX_SIZE_GB * 1024 ** 3;
+  if (!maxBytes || diskUsageBytes <= maxBytes || evictingCache) return;
+  evictingCache = true;
+  let evicted = 0;
+  try {
+    const candidates = Object.keys(cacheIndex)
+      .filter(relPath => !cacheDownloads.has(relPath))
+      .sort((a, b) => cacheIndex[a].lastAccess - cacheIndex[b].lastAccess);
+    for (const relPath of candidates) {
+      if (diskUsageBytes <= maxBytes) break;
+      const localPath = path.join(MIRROR_DIR, relPath);
+      const stat = await fs.stat(localPath).catch(() => null);
+      await fs.remove(localPath);
+      delete cacheIndex[relPath];
+      if (stat && stat.nlink === 1) adjustDiskUsage(-stat.size);
+      evicted++;
+    }
+  } finally {
+    evictingCache = false;
+  }
+  if (!evicted) return;
+  cacheIndexDirty = true;
+  cacheStats.evicted += evicted;
+  addLog(`Cache: evicted ${evicted} least recently used file(s)`);
+  publishCacheStats();
+}
+
+// Stream the upstream response into <file>.part, then move it into place. Requests don't read the
+// response but follow the .part as it grows (see streamCacheDownload), so any number of them can
+// share one download and a client that goes away doesn't cancel it for the others
+async function startCacheDownload(relPath, mirror, res, started) {
+  const localPath = path.join(MIRROR_DIR, relPath);
+  const partPath = `${localPath}.part`;
+  await fs.ensureDir(path.dirname(localPath));
+  const writer = fs.createWriteStream(partPath);
+  await once(writer, 'open');
+  const length = parseInt(res.headers['content-length'], 10);
+  const download = {
+    partPath,
+    size: isNaN(length) ? null : length,
+    lastModified: res.headers['last-modified'] || null,
+    written: 0,
+    done: false,
+    error: null,
+    events: new EventEmitter()
+  };
+  download.events.setMaxListeners(0);
+
+  const fail = err => {
+    if (download.done || download.error) return;
+    download.error = err;
+    res.data.destroy();
+    writer.destroy();
+    fs.remove(partPath).catch(() => {});
+    cacheDownloads.delete(relPath);
+    recordMirrorFailure(mirror, err);
+    addLog(`Cache: failed to fetch ${relPath} from ${mirror}: ${err.message}`);
+    download.events.emit('progress');
+  };
+
+  // Count bytes only once they are on disk, that's where the requests read them from
+  const limiter = createLimiter();
+  limiter.on('data', chunk => {
+    limiter.pause();
+    writer.write(chunk, err => {
+      if (err) return fail(err);
+      download.written += chunk.length;
+      download.events.emit('progress');
+      limiter.resume();
+    });
+  });
+  limiter.on('end', () => writer.end());
+  res.data.on('error', fail);
+  limiter.on('error', fail);
+  writer.on('error', fail);
+  writer.on('finish', async () => {
+    if (download.error) return;
+    try {
+      if (download.size !== null && download.written !== download.size) {
+        throw new Error(`incomplete download, ${download.written} of ${download.size} bytes`);
       }
+      await moveIntoPlace(partPath, localPath);
+      // Keep the upstream date, databases are revalidated with If-Modified-Since
+      const mtime = new Date(download.lastModified);
+      if (!isNaN(mtime)) await fs.utimes(localPath, mtime, mtime);
+    } catch (err) {
+      return fail(err);
+    }
+    download.done = true;
+    cacheDownloads.delete(relPath);
+    touchCacheEntry(relPath, { size: download.written, checkedAt: Date.now() });
+    recordMirrorSuccess(mirror, download.written, Date.now() - started);
+    metrics.filesSynced++;
+    download.events.emit('progress');
+    publishCacheStats();
+    evictCache();
+  });
+  res.data.pipe(limiter);
+  return download;
+}
 
-      await new Promise((resolve, reject) => {
-        writer.on('finish', resolve);
-        writer.on('error', reject);
+// Fetch relPath from the best mirror. Resolves with the running download, or null when the local
+// copy (`stat`) is still current. A mirror that hasn't got the file yet is no reason to bench it
+async function fetchIntoCache(relPath, stat) {
+  let lastError = null;
+  for (const mirror of orderMirrors()) {
+    const started = Date.now();
+    let res;
+    try {
+      res = await axios.get(`${mirror.replace(/\/+$/, '')}/${relPath}`, {
+        responseType: 'stream',
+        timeout: 30000,
+        headers: stat ? { 'If-Modified-Since': stat.mtime.toUTCString() } : {},
+        validateStatus: status => status === 200 || status === 304
       });
-      syncState.currentFileProgress = 100;
-      syncState.currentFileSpeed = 0;
-      broadcastState();
-      addLog(`Downloaded ${relPath} from ${mirror}`);
-      return; // success
     } catch (err) {
       lastError = err;
-      addLog(`Failed to download ${relPath} from ${mirror}: ${err.message}`);
-      // Try next mirror
+      if (!err.response || err.response.status !== 404) recordMirrorFailure(mirror, err);
+      continue;
+    }
+    if (res.status === 304) {
+      res.data.destroy();
+      touchCacheEntry(relPath, { checkedAt: Date.now() });
+      return null;
+    }
+    return startCacheDownload(relPath, mirror, res, started);
+  }
+  throw lastError || new Error('no HTTP mirror to fetch from');
+}
+
+// Send a download to one client while it is still being written
+async function streamCacheDownload(download, relPath, req, res) {
+  const fd = await fs.open(download.partPath, 'r');
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+  try {
+    res.status(200);
+    res.setHeader('Content-Type', CONTENT_TYPES[path.extname(relPath)] || 'application/octet-stream');
+    if (download.size !== null) res.setHeader('Content-Length', download.size);
+    if (download.lastModified) res.setHeader('Last-Modified', download.lastModified);
+    if (isMutableFile(relPath)) res.setHeader('Cache-Control', 'no-cache');
+    if (req.method === 'HEAD') return res.end();
+    let position = 0;
+    while (!closed) {
+      if (position < download.written) {
+        const { bytesRead, buffer } = await fs.read(fd, Buffer.allocUnsafe(CACHE_READ_CHUNK), 0, Math.min(CACHE_READ_CHUNK, download.written - position), position);
+        position += bytesRead;
+        if (!res.write(buffer.subarray(0, bytesRead))) {
+          await new Promise(resolve => {
+            const resume = () => {
+              res.off('drain', resume);
+              res.off('close', resume);
+              resolve();
+            };
+            res.on('drain', resume);
+            res.on('close', resume);
+          });
+        }
+      } else if (download.error) {
+        return res.destroy(download.error);
+      } else if (download.done) {
+        return res.end();
+      } else {
+        await once(download.events, 'progress');
+      }
+    }
+  } finally {
+    await fs.close(fd);
+  }
+}
+
+// Package server middleware in CACHE_MODE: cached files go on to express.static, the rest is fetched
+async function serveFromCache(req, res, next) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+  const decoded = decodeRequestPath(req);
+  if (decoded === null) return res.sendStatus(400);
+  const relPath = decoded.replace(/^\/+/, '');
+  if (!CACHE_PATH_RE.test(relPath) || relPath.split('/').includes('..')) return next();
+  try {
+    const stat = await fs.stat(path.join(MIRROR_DIR, relPath)).catch(() => null);
+    const entry = cacheIndex[relPath];
+    const stale = isMutableFile(relPath) && (!entry || Date.now() - (entry.checkedAt || 0) > CACHE_DB_TTL_SECONDS * 1000);
+    let download = null;
+    if (!stat || stale) {
+      if (!cacheDownloads.has(relPath)) {
+        const pending = fetchIntoCache(relPath, stat);
+        cacheDownloads.set(relPath, pending);
+        // Finished downloads remove themselves, a 304 or an error never becomes one
+        pending.then(d => { if (!d) cacheDownloads.delete(relPath); }, () => cacheDownloads.delete(relPath));
+        publishCacheStats();
+      }
+      try {
+        download = await cacheDownloads.get(relPath);
+      } catch (err) {
+        // A stale database beats none while the mirrors are down, it is checked again after another TTL
+        if (!stat || (err.response && err.response.status === 404)) throw err;
+        addLog(`Serving the cached ${relPath}, checking it upstream failed: ${err.message}`);
+        touchCacheEntry(relPath, { checkedAt: Date.now() });
+      }
+    }
+    if (!download) {
+      cacheStats.hits++;
+      touchCacheEntry(relPath, { size: stat.size });
+      return next();
+    }
+    cacheStats.misses++;
+    await streamCacheDownload(download, relPath, req, res);
+  } catch (err) {
+    if (res.headersSent) return res.destroy(err);
+    if (err.response && err.response.status === 404) return res.sendStatus(404);
+    // Anything but a failed fetch from the mirrors is ours, Express answers it with a 500
+    if (!err.isAxiosError) return next(err);
+    res.status(502).type('text').send(`Could not fetch ${relPath}: ${err.message}\n`);
+  }
+}
+
+function startCache() {
+  addLog(`Cache mode: fetching files from the mirrors on request${CACHE_MAX_SIZE_GB ? `, up to ${CACHE_MAX_SIZE_GB} GB` : ''}`);
+  Promise.all([reconcileDiskUsage(), loadCacheIndex()]).then(evictCache);
+  loadMirrorlist().then(probeMirrors);
+  setInterval(probeMirrors, CACHE_PROBE_INTERVAL);
+  setInterval(() => {
+    if (!cacheIndexDirty) return;
+    cacheIndexDirty = false;
+    publishCacheStats();
+    fs.outputJson(CACHE_INDEX_PATH, cacheIndex).catch(() => {});
+  }, 5000);
+}
+
+// --- Bandwidth limiter ---
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const BUCKET_SECONDS = 1; // burst size, in seconds at the current rate
+const THROUGHPUT_SAMPLES = 3; // seconds the panel's throughput is averaged over
+
+// `[day[-day]] HH:MM-HH:MM=KBPS` entries separated by `;`, a window past midnight belongs to the day it starts
+function parseBandwidthSchedule(text) {
+  return text.split(';').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const match = entry.match(/^(?:([a-z]{3})(?:-([a-z]{3}))?\s+)?(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})\s*=\s*(-?\d+)$/i);
+    if (!match) throw new Error(`invalid entry "${entry}", expected e.g. "mon-fri 08:00-18:00=10240"`);
+    const [, fromDay, toDay, h1, m1, h2, m2, kbps] = match;
+    const from = fromDay ? DAY_NAMES.indexOf(fromDay.toLowerCase()) : 0;
+    const to = toDay ? DAY_NAMES.indexOf(toDay.toLowerCase()) : (fromDay ? from : 6);
+    if (from === -1 || to === -1) throw new Error(`unknown day in "${entry}", use ${DAY_NAMES.join(', ')}`);
+    const start = parseInt(h1, 10) * 60 + parseInt(m1, 10);
+    const end = parseInt(h2, 10) * 60 + parseInt(m2, 10);
+    if (start >= 24 * 60 || end > 24 * 60 || parseInt(m1, 10) > 59 || parseInt(m2, 10) > 59) throw new Error(`invalid time in "${entry}"`);
+    const days = new Set();
+    for (let day = from; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === to) break;
+    }
+    return { label: entry, days, start, end, kbps: parseInt(kbps, 10) };
+  });
+}
+
+let bandwidthSchedule = [];
+try {
+  bandwidthSchedule = parseBandwidthSchedule(BANDWIDTH_SCHEDULE);
+} catch (err) {
+  console.error(`Invalid BANDWIDTH_SCHEDULE: ${err.message}`);
+  process.exit(1);
+}
+
+// The cap right now: the first schedule entry that covers this minute, else DOWNLOAD_SPEED_LIMIT_KBPS
+function currentBandwidthLimit(date = new Date()) {
+  const minute = date.getHours() * 60 + date.getMinutes();
+  const day = date.getDay();
+  const entry = bandwidthSchedule.find(e => e.start < e.end
+    ? e.days.has(day) && minute >= e.start && minute < e.end
+    : (e.days.has(day) && minute >= e.start) || (e.days.has((day + 6) % 7) && minute < e.end));
+  return entry
+    ? { kbps: entry.kbps, source: `schedule ${entry.label}` }
+    : { kbps: DOWNLOAD_SPEED_LIMIT_KBPS, source: 'DOWNLOAD_SPEED_LIMIT_KBPS' };
+}
+
+// One token bucket shared by every download, so the total matches the cap however many workers are busy
+const bucket = { tokens: 0, refilledAt: Date.now() };
+let bytesSinceSample = 0;
+let throughputSamples = [];
+
+// Take bytes from the bucket, returns how long (ms) the stream has to wait before reading on
+function takeTokens(bytes) {
+  bytesSinceSample += bytes;
+  const now = Date.now();
+  const { kbps } = currentBandwidthLimit();
+  if (kbps <= 0) {
+    bucket.tokens = 0;
+    bucket.refilledAt = now;
+    return 0;
+  }
+  const rate = kbps * 1024;
+  bucket.tokens = Math.min(rate * BUCKET_SECONDS, bucket.tokens + (now - bucket.refilledAt) / 1000 * rate);
+  bucket.refilledAt = now;
+  bucket.tokens -= bytes;
+  return bucket.tokens < 0 ? Math.ceil(-bucket.tokens / rate * 1000) : 0;
+}
+
+// Piped between response and file. Holding back a chunk holds back the response through backpressure,
+// pausing the response directly doesn't stick because pipe() resumes it on every drain
+function createLimiter() {
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      const wait = takeTokens(chunk.length);
+      if (wait > 0) {
+        setTimeout(() => callback(null, chunk), wait);
+      } else {
+        callback(null, chunk);
+      }
+    }
+  });
+}
+
+// Aggregate throughput next to the cap for the panel, sampled once a second. Unref'd: the servers keep
+// the app alive, a plain require('./index') (CLI, tests) shouldn't be
+setInterval(() => {
+  throughputSamples = throughputSamples.concat(bytesSinceSample).slice(-THROUGHPUT_SAMPLES);
+  bytesSinceSample = 0;
+  const limit = currentBandwidthLimit();
+  const bandwidth = {
+    throughput: Math.round(throughputSamples.reduce((sum, b) => sum + b, 0) / throughputSamples.length),
+    limitKbps: limit.kbps,
+    source: limit.source
+  };
+  if (JSON.stringify(bandwidth) !== JSON.stringify(syncState.bandwidth)) {
+    syncState.bandwidth = bandwidth;
+    broadcastState();
+  }
+}, 1000).unref();
+
+// --- Resumable downloads ---
+
+// Download url into partPath. A leftover .part (stopped sync, crash, timeout) is resumed with a
+// Range request; mirrors that ignore ranges get a full download. Resolves once the body is on disk,
+// the caller verifies and renames the .part into place.
+async function downloadToPart(url, partPath, { onProgress } = {}) {
+  let offset = (await fs.pathExists(partPath)) ? (await fs.stat(partPath)).size : 0;
+  await fs.ensureDir(path.dirname(partPath));
+
+  let res;
+  try {
+    res = await axios.get(url, {
+      responseType: 'stream',
+      timeout: 30000,
+      headers: offset > 0 ? { Range: `bytes=${offset}-` } : {}
+    });
+  } catch (err) {
+    if (offset > 0 && err.response && err.response.status === 416) {
+      // Nothing left to fetch past our offset: either the .part is already complete or it is stale
+      const upstreamSize = parseInt(String(err.response.headers['content-range'] || '').split('/')[1], 10);
+      if (upstreamSize === offset) return err.response.headers;
+      await fs.remove(partPath);
+      return downloadToPart(url, partPath, { onProgress });
+    }
+    throw err;
+  }
+
+  const resumed = offset > 0 && res.status === 206;
+  if (resumed) {
+    addLog(`Resuming ${url} at ${offset} bytes`);
+  } else if (offset > 0) {
+    addLog(`${url} does not support ranges, restarting from zero`);
+    offset = 0;
+  }
+  const length = parseInt(res.headers['content-length'] || '0', 10);
+  const total = length > 0 ? offset + length : 0;
+  const writer = fs.createWriteStream(partPath, { flags: resumed ? 'a' : 'w' });
+
+  let received = offset;
+  res.data.on('data', chunk => {
+    received += chunk.length;
+    if (onProgress) onProgress(received, total);
+  });
+  const limiter = createLimiter();
+  res.data.pipe(limiter).pipe(writer);
+
+  let streamError = null;
+  await new Promise((resolve, reject) => {
+    writer.on('finish', resolve);
+    writer.on('error', reject);
+    // A dropped connection doesn't end the writer by itself, flush what we have so it can be resumed
+    res.data.on('error', err => { streamError = err; });
+    res.data.on('close', () => {
+      if (!limiter.writableEnded) limiter.end();
+    });
+  });
+  if (streamError) throw streamError;
+  if (total > 0 && received < total) {
+    throw new Error(`connection closed after ${received} of ${total} bytes`);
+  }
+  return res.headers;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Size from the repo database, else the (maybe rounded) one from the listing
+function plannedSize(fileObj) {
+  if (typeof fileObj.size === 'number') return fileObj.size;
+  return fileObj.listing ? fileObj.listing.size : undefined;
+}
+
+async function estimateSizeIncrease(allFiles) {
+  let size = 0;
+  let checked = 0;
+  for (const fileObj of allFiles) {
+    if (checked % 100 === 0) {
+      syncState.estimatedSizeIncrease = size;
+      syncState.estimatedSizeIncreaseReady = false;
+      broadcastState();
+      await sleep(1); // Yield to event loop
+    }
+    checked++;
+    const localPath = path.join(__dirname, 'mirror', fileObj.relPath);
+    try {
+      if (!(await fs.pathExists(localPath))) {
+        if (typeof plannedSize(fileObj) === 'number') {
+          size += plannedSize(fileObj);
+        } else if (!fileObj.relPath.endsWith('.sig')) {
+          // Unknown size (databases, listings without sizes): ask the mirror. Signatures are a few hundred bytes, skip them
+          const url = fileObj.mirror.replace(/\/+$/, '') + '/' + fileObj.relPath.replace(/^\//, '');
+          const res = await axios.head(url, { timeout: 5000 });
+          if (res.headers['content-length']) {
+            size += parseInt(res.headers['content-length'], 10);
+          }
+        }
+      }
+    } catch {}
+  }
+  syncState.estimatedSizeIncrease = size;
+  syncState.estimatedSizeIncreaseReady = true;
+  broadcastState();
+}
+
+// --- Sync targets ---
+
+const TARGET_TYPES = ['repo', 'tree'];
+// Release directories for `keep` retention: iso/2024.06.01, images/v20240601.245154, ...
+const RELEASE_DIR_RE = /^v?\d/;
+
+// Glob on a path relative to the target root: * and ? stay within a directory, ** crosses them
+function globToRegExp(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*') {
+      re += '.*';
+      i++;
+      if (glob[i + 1] === '/') i++;
+    } else if (c === '*') {
+      re += '[^/]*';
+    } else if (c === '?') {
+      re += '[^/]';
+    } else {
+      re += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+function normalizeTarget(raw) {
+  if (!raw || typeof raw !== 'object') throw new Error('every target must be an object');
+  const root = String(raw.root || raw.name || '').replace(/^\/+|\/+$/g, '');
+  if (!root || root.split('/').includes('..')) throw new Error(`target ${JSON.stringify(raw)} needs a root path inside the mirror`);
+  const type = raw.type || 'tree';
+  if (!TARGET_TYPES.includes(type)) throw new Error(`target "${root}": unknown type "${type}", use ${TARGET_TYPES.join(' or ')}`);
+  const arch = [].concat(raw.arch || ARCHES);
+  const include = [].concat(raw.include || []);
+  const exclude = [].concat(raw.exclude || []);
+  const keep = parseInt(raw.keep || '0', 10);
+  if (isNaN(keep) || keep < 0) throw new Error(`target "${root}": keep must be a number of releases`);
+  return {
+    name: String(raw.name || root),
+    root,
+    type,
+    arch,
+    include: include.map(globToRegExp),
+    exclude: exclude.map(globToRegExp),
+    // The globs themselves, rsync gets them as filter rules
+    globs: { include: include.map(String), exclude: exclude.map(String) },
+    keep
+  };
+}
+
+function loadSyncTargets() {
+  if (!SYNC_TARGETS) {
+    // Same as before targets existed: crawl each folder, or read its repo databases
+    return MIRROR_INCLUDE_FOLDERS.map(folder => normalizeTarget({ name: folder, root: folder, type: SYNC_MODE === 'repodb' ? 'repo' : 'tree' }));
+  }
+  const raw = SYNC_TARGETS.trim().startsWith('[')
+    ? JSON.parse(SYNC_TARGETS)
+    : fs.readJsonSync(path.resolve(__dirname, SYNC_TARGETS));
+  if (!Array.isArray(raw) || !raw.length) throw new Error('expected a non-empty list of targets');
+  const targets = raw.map(normalizeTarget);
+  const names = targets.map(t => t.name);
+  const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+  if (duplicate) throw new Error(`duplicate target name "${duplicate}"`);
+  return targets;
+}
+
+let syncTargets = [];
+try {
+  syncTargets = loadSyncTargets();
+} catch (err) {
+  console.error(`Invalid SYNC_TARGETS: ${err.message}`);
+  process.exit(1);
+}
+if (PACKAGES.length && SYNC_MODE !== 'repodb') {
+  console.error('PACKAGES needs SYNC_MODE=repodb, the selection is resolved from the repo databases');
+  process.exit(1);
+}
+if (CACHE_MODE && !SERVE_PORT) {
+  console.error('CACHE_MODE needs SERVE_PORT, the cache is filled by requests to the package server');
+  process.exit(1);
+}
+// Targets of the current run, a sync can be limited to some of them
+let runTargets = syncTargets;
+
+// Directories a target is scanned (and pruned) from: <root>/os/<arch> for repos, the root itself for trees
+function targetScanRoots(target) {
+  return target.type === 'repo' ? target.arch.map(arch => `${target.root}/os/${arch}`) : [target.root];
+}
+
+function matchesTarget(target, relPath) {
+  const rel = relPath.slice(target.root.length + 1);
+  if (target.include.length && !target.include.some(re => re.test(rel))) return false;
+  return !target.exclude.some(re => re.test(rel));
+}
+
+// Keep only the newest `keep` release directories directly under the root (version order, not mtime)
+function applyRetention(target, files) {
+  if (!target.keep) return files;
+  const releaseOf = f => {
+    const dir = f.relPath.slice(target.root.length + 1).split('/');
+    return dir.length > 1 && RELEASE_DIR_RE.test(dir[0]) ? dir[0] : null;
+  };
+  const releases = [...new Set(files.map(releaseOf).filter(Boolean))]
+    .sort((a, b) => b.localeCompare(a, undefined, { numeric: true }));
+  const kept = new Set(releases.slice(0, target.keep));
+  if (releases.length > kept.size) addLog(`${target.name}: keeping ${[...kept].join(', ')}, skipping ${releases.length - kept.size} older release(s)`);
+  return files.filter(f => !releaseOf(f) || kept.has(releaseOf(f)));
+}
+
+// --- Live configuration ---
+
+const CONFIG_PATH = path.join(DATA_DIR, 'config.json');
+const PREVIOUS_CONFIG_PATH = path.join(DATA_DIR, 'config.previous.json');
+const CONFIG_CHECK_TIMEOUT = 10000; // ms, per mirror
+
+// Settings that may change under a running sync, the others wait for the next one
+const LIVE_SETTINGS = ['DOWNLOAD_SPEED_LIMIT_KBPS', 'BANDWIDTH_SCHEDULE', 'FILE_TIMEOUT_MS'];
+const SETTING_NAMES = ['MIRRORS', 'MIRROR_INCLUDE_FOLDERS', 'DOWNLOAD_SPEED_LIMIT_KBPS', 'BANDWIDTH_SCHEDULE', 'MULTITHREADED', 'FILE_TIMEOUT_MS'];
+
+// Saved while a sync was running, applied when the next one starts
+let pendingSettings = null;
+let configInfo = { savedAt: null, savedBy: null };
+
+function currentSettings() {
+  return {
+    MIRRORS: MIRRORS.slice(),
+    MIRROR_INCLUDE_FOLDERS: MIRROR_INCLUDE_FOLDERS.slice(),
+    DOWNLOAD_SPEED_LIMIT_KBPS,
+    BANDWIDTH_SCHEDULE,
+    MULTITHREADED,
+    FILE_TIMEOUT_MS: TIMEOUT_MS
+  };
+}
+
+// Settings that .env pins down some other way can't be edited
+function lockedSettings() {
+  const locked = {};
+  if (MIRRORLIST) locked.MIRRORS = 'MIRRORS come from MIRRORLIST';
+  if (SYNC_TARGETS) locked.MIRROR_INCLUDE_FOLDERS = 'folders come from SYNC_TARGETS';
+  return locked;
+}
+
+function toList(value) {
+  return (Array.isArray(value) ? value : String(value).split(',')).map(v => String(v).trim()).filter(Boolean);
+}
+
+// Type and range checks, returns the normalized settings and an error per bad field
+function checkSettings(input) {
+  const settings = {};
+  const errors = {};
+  const locked = lockedSettings();
+  for (const [name, value] of Object.entries(input || {})) {
+    if (!SETTING_NAMES.includes(name)) {
+      errors[name] = 'unknown setting';
+    } else if (locked[name] && JSON.stringify(toList(value)) !== JSON.stringify(currentSettings()[name])) {
+      errors[name] = locked[name];
+    } else if (name === 'MIRRORS') {
+      const mirrors = toList(value).map(m => m.replace(/\/+$/, ''));
+      const bad = mirrors.find(m => !/^(https?|rsync):\/\/[^/]+/.test(m));
+      if (!mirrors.length) errors[name] = 'at least one mirror is needed';
+      else if (bad) errors[name] = `${bad} is not an http(s) or rsync URL`;
+      else settings[name] = [...new Set(mirrors)];
+    } else if (name === 'MIRROR_INCLUDE_FOLDERS') {
+      const folders = toList(value);
+      const bad = folders.find(f => !/^[\w.-]+$/.test(f) || f.startsWith('.'));
+      if (!folders.length) errors[name] = 'at least one folder is needed';
+      else if (bad) errors[name] = `"${bad}" is not a top-level folder name`;
+      else settings[name] = [...new Set(folders)];
+    } else if (name === 'BANDWIDTH_SCHEDULE') {
+      try {
+        parseBandwidthSchedule(String(value));
+        settings[name] = String(value).trim();
+      } catch (err) {
+        errors[name] = err.message;
+      }
+    } else if (name === 'MULTITHREADED') {
+      if (typeof value === 'boolean' || value === 'true' || value === 'false') settings[name] = String(value) === 'true';
+      else errors[name] = 'must be true or false';
+    } else {
+      const number = Number(value);
+      if (!Number.isInteger(number)) errors[name] = 'must be a whole number';
+      else if (name === 'DOWNLOAD_SPEED_LIMIT_KBPS' && number !== -1 && (number < 1 || number > 10000000)) errors[name] = 'must be -1 (no limit) or 1 to 10000000 KB/s';
+      else if (name === 'FILE_TIMEOUT_MS' && (number < 0 || number > 60000)) errors[name] = 'must be between 0 and 60000 ms';
+      else settings[name] = number;
+    }
+  }
+  return { settings, errors };
+}
+
+// New mirrors must answer, new folders must exist on the first mirror that does
+async function checkReachability(settings, errors) {
+  const current = currentSettings();
+  const mirrors = settings.MIRRORS || current.MIRRORS;
+  const reachable = [];
+  await Promise.all(mirrors.map(async mirror => {
+    if (current.MIRRORS.includes(mirror) && !settings.MIRROR_INCLUDE_FOLDERS) return;
+    try {
+      await fetchMirrorText(mirror, 'lastupdate', CONFIG_CHECK_TIMEOUT);
+      reachable.push(mirror);
+    } catch (err) {
+      if (settings.MIRRORS && !current.MIRRORS.includes(mirror)) errors.MIRRORS = `${mirror} is not reachable: ${err.message}`;
+    }
+  }));
+  const newFolders = (settings.MIRROR_INCLUDE_FOLDERS || []).filter(f => !current.MIRROR_INCLUDE_FOLDERS.includes(f));
+  if (!newFolders.length) return;
+  if (!reachable.length) {
+    errors.MIRROR_INCLUDE_FOLDERS = 'no mirror reachable to check the folders against';
+    return;
+  }
+  for (const folder of newFolders) {
+    try {
+      if (isRsyncMirror(reachable[0])) {
+        await listRsyncDir(reachable[0], folder, CONFIG_CHECK_TIMEOUT);
+      } else {
+        await axios.get(`${reachable[0]}/${folder}/`, { timeout: CONFIG_CHECK_TIMEOUT, responseType: 'text' });
+      }
+    } catch (err) {
+      errors.MIRROR_INCLUDE_FOLDERS = `${folder} does not exist on ${reachable[0]}`;
+      return;
+    }
+  }
+}
+
+function assignSettings(settings) {
+  if (settings.MIRRORS) MIRRORS = settings.MIRRORS.slice();
+  if (settings.MIRROR_INCLUDE_FOLDERS) {
+    MIRROR_INCLUDE_FOLDERS = settings.MIRROR_INCLUDE_FOLDERS.slice();
+    if (!SYNC_TARGETS) syncTargets = loadSyncTargets();
+  }
+  if (settings.DOWNLOAD_SPEED_LIMIT_KBPS !== undefined) DOWNLOAD_SPEED_LIMIT_KBPS = settings.DOWNLOAD_SPEED_LIMIT_KBPS;
+  if (settings.BANDWIDTH_SCHEDULE !== undefined) {
+    BANDWIDTH_SCHEDULE = settings.BANDWIDTH_SCHEDULE;
+    bandwidthSchedule = parseBandwidthSchedule(BANDWIDTH_SCHEDULE);
+  }
+  if (settings.MULTITHREADED !== undefined) MULTITHREADED = settings.MULTITHREADED;
+  if (settings.FILE_TIMEOUT_MS !== undefined) TIMEOUT_MS = settings.FILE_TIMEOUT_MS;
+}
+
+// Apply what is safe now, keep the rest for the next sync
+function applySettings(settings) {
+  const now = {};
+  const later = {};
+  for (const [name, value] of Object.entries(settings)) {
+    (!activeSync || LIVE_SETTINGS.includes(name) ? now : later)[name] = value;
+  }
+  assignSettings(now);
+  if (Object.keys(later).length) {
+    pendingSettings = { ...pendingSettings, ...later };
+    addLog(`Settings ${Object.keys(later).join(', ')} apply to the next sync`);
+  }
+}
+
+function applyPendingSettings() {
+  if (!pendingSettings) return;
+  assignSettings(pendingSettings);
+  addLog(`Applied settings saved during the last sync: ${Object.keys(pendingSettings).join(', ')}`);
+  pendingSettings = null;
+}
+
+// Save over data/config.json, the replaced settings go to config.previous.json for rollback
+async function saveSettings(settings, user) {
+  const previous = { ...configInfo, settings: { ...currentSettings(), ...pendingSettings } };
+  configInfo = { savedAt: new Date().toISOString(), savedBy: user.name };
+  await fs.outputJson(PREVIOUS_CONFIG_PATH, previous, { spaces: 2 });
+  await fs.outputJson(CONFIG_PATH, { ...configInfo, settings: { ...previous.settings, ...settings } }, { spaces: 2 });
+  applySettings(settings);
+}
+
+// Settings saved from the panel override .env
+try {
+  const saved = fs.readJsonSync(CONFIG_PATH, { throws: false });
+  if (saved) {
+    const { settings, errors } = checkSettings(saved.settings);
+    for (const [name, error] of Object.entries(errors)) console.error(`Ignoring saved setting ${name}: ${error}`);
+    assignSettings(settings);
+    configInfo = { savedAt: saved.savedAt, savedBy: saved.savedBy };
+  }
+} catch (err) {
+  console.error(`Failed to read ${CONFIG_PATH}: ${err.message}`);
+}
+
+api.get('/config', requireRole('viewer'), async (req, res) => {
+  const previous = await fs.readJson(PREVIOUS_CONFIG_PATH).catch(() => null);
+  res.json({
+    settings: currentSettings(),
+    pending: pendingSettings,
+    live: LIVE_SETTINGS,
+    locked: lockedSettings(),
+    savedAt: configInfo.savedAt,
+    savedBy: configInfo.savedBy,
+    previous
+  });
+});
+
+// Body: the settings to change, e.g. { "DOWNLOAD_SPEED_LIMIT_KBPS": 2048 }
+api.put('/config', requireRole('operator'), async (req, res) => {
+  try {
+    const { settings, errors } = checkSettings(req.body);
+    if (!Object.keys(errors).length) await checkReachability(settings, errors);
+    if (Object.keys(errors).length) return res.status(400).json({ error: 'Invalid settings', errors });
+    if (!Object.keys(settings).length) return res.status(400).json({ error: 'No settings given', errors });
+    await saveSettings(settings, req.user);
+    audit(req.user, 'config', Object.entries(settings).map(([k, v]) => `${k}=${v}`).join(' '));
+    addLog(`Settings changed by ${req.user.name}: ${Object.keys(settings).join(', ')}`);
+    res.json({ settings: currentSettings(), pending: pendingSettings });
+  } catch (err) {
+    addLog(`Saving settings failed: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+api.post('/config/rollback', requireRole('operator'), async (req, res) => {
+  try {
+    const previous = await fs.readJson(PREVIOUS_CONFIG_PATH).catch(() => null);
+    if (!previous) return res.status(409).json({ error: 'No previous configuration to roll back to' });
+    const { settings } = checkSettings(previous.settings);
+    await saveSettings(settings, req.user);
+    audit(req.user, 'config rollback', `to ${previous.savedAt || '.env'}`);
+    addLog(`Settings rolled back by ${req.user.name} to ${previous.savedAt || 'the .env values'}`);
+    res.json({ settings: currentSettings(), pending: pendingSettings });
+  } catch (err) {
+    addLog(`Rolling back settings failed: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Directory listings ---
+
+// Index pages of the common web servers. The first parser whose detect() matches a page reads it, into
+// { name, type: 'file' | 'dir', size, mtime } per entry plus how far to trust them: sizeExact is false for
+// rounded sizes like "1.2M", mtimeSlack is how much later (ms) the real mtime can be than the listed one,
+// null when the page shows the server's local time in an unknown zone. Add a format by adding a parser
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+// 15-Jan-2025 10:00 (nginx), 2025-01-15 10:00 (Apache), 2025-Jan-15 10:00:00 (lighttpd)
+const LISTING_DATE_RE = /(\d{1,2})-([a-z]{3})-(\d{4})\s+(\d{2}):(\d{2})(?::(\d{2}))?|(\d{4})-(\d{2}|[a-z]{3})-(\d{2})\s+(\d{2}):(\d{2})(?::(\d{2}))?/i;
+
+// A listed date and time read as UTC, with its precision in ms
+function parseListingDate(text) {
+  const m = text.match(LISTING_DATE_RE);
+  if (!m) return null;
+  const [day, month, year, hour, minute, second] = m[1] ? m.slice(1, 7) : [m[9], m[8], m[7], m[10], m[11], m[12]];
+  const monthIndex = /^\d+$/.test(month) ? parseInt(month, 10) - 1 : MONTH_NAMES.indexOf(month.toLowerCase());
+  if (monthIndex < 0 || monthIndex > 11) return null;
+  return {
+    time: Date.UTC(parseInt(year, 10), monthIndex, parseInt(day, 10), parseInt(hour, 10), parseInt(minute, 10), parseInt(second || '0', 10)),
+    precision: second === undefined ? 60 * 1000 : 1000,
+    rest: text.slice(m.index + m[0].length)
+  };
+}
+
+// "123456" is exact, "1.2M" and "121 KiB" are rounded (1024-based), "-" is no size
+function parseListingSize(text) {
+  const value = text.replace(/\u00a0/g, ' ').trim();
+  const bytes = value.match(/^(\d+)\s*B?$/i);
+  if (bytes) return { size: parseInt(bytes[1], 10), sizeExact: true };
+  const rounded = value.match(/^(\d+(?:\.\d+)?)\s*([KMGTP])i?B?$/i);
+  if (!rounded) return { size: undefined, sizeExact: false };
+  return { size: Math.round(parseFloat(rounded[1]) * Math.pow(1024, 'KMGTP'.indexOf(rounded[2].toUpperCase()) + 1)), sizeExact: false };
+}
+
+// Entry for a link to a child of the listed directory, null for parent, sort, absolute and external links.
+// The name comes from the href, link texts of long names are cut short
+function listingEntry(href, { type, size, sizeExact = false, mtime, mtimeSlack = null } = {}) {
+  if (!href) return null;
+  const rel = href.replace(/^\.\//, '');
+  if (!rel || /^[?#/]/.test(rel) || rel === '..' || rel.startsWith('../') || /^[a-z][a-z0-9+.-]*:/i.test(rel)) return null;
+  let name;
+  try {
+    name = decodeURIComponent(rel.replace(/\/$/, ''));
+  } catch {
+    return null;
+  }
+  if (!name || name.includes('/')) return null;
+  const isDir = type ? type === 'dir' : rel.endsWith('/');
+  return {
+    name,
+    type: isDir ? 'dir' : 'file',
+    size: isDir ? undefined : size,
+    sizeExact: !isDir && sizeExact,
+    mtime: Number.isFinite(mtime) ? mtime : undefined,
+    mtimeSlack: Number.isFinite(mtime) ? mtimeSlack : null
+  };
+}
+
+// Date and size columns as text, "2025-01-15 10:00   1.2M  description". utc: the server prints UTC
+function columnFields(text, utc) {
+  const date = parseListingDate(text);
+  if (!date) return {};
+  return {
+    ...parseListingSize(date.rest.trim().split(/\s+/)[0] || ''),
+    mtime: date.time,
+    mtimeSlack: utc ? date.precision : null
+  };
+}
+
+// The rest of the <pre> line after a link
+function trailingText(a) {
+  let text = '';
+  for (let node = a.nextSibling; node && node.nodeName !== 'A'; node = node.nextSibling) text += node.textContent;
+  return text.split('\n')[0];
+}
+
+function listingDocument(body) {
+  return new JSDOM(body).window.document;
+}
+
+const LISTING_PARSERS = [
+  {
+    name: 'caddy-json',
+    label: 'Caddy browse (JSON)',
+    // [{ "name": "core/", "url": "./core/", "size": 4096, "mod_time": "2025-01-15T10:00:00Z", "is_dir": true }]
+    detect: body => /^\s*\[/.test(body) && /"is_dir"\s*:/.test(body),
+    parse: body => JSON.parse(body).map(e => listingEntry(e.url || encodeURIComponent(e.name), {
+      type: e.is_dir ? 'dir' : 'file',
+      size: e.size,
+      sizeExact: typeof e.size === 'number',
+      mtime: Date.parse(e.mod_time),
+      mtimeSlack: 1000
+    }))
+  },
+  {
+    name: 'nginx-json',
+    label: 'nginx autoindex (JSON)',
+    // autoindex_format json: [{ "name": "core", "type": "directory", "mtime": "Wed, 15 Jan 2025 10:00:00 GMT" }, { ..., "size": 123 }]
+    detect: body => /^\s*\[/.test(body),
+    parse: body => JSON.parse(body).map(e => listingEntry(encodeURIComponent(e.name) + (e.type === 'directory' ? '/' : ''), {
+      size: e.size,
+      sizeExact: typeof e.size === 'number',
+      mtime: Date.parse(e.mtime),
+      mtimeSlack: 1000
+    }))
+  },
+  {
+    name: 'apache',
+    label: 'Apache mod_autoindex',
+    // Table (HTMLTable) or <pre> (FancyIndexing) rows of icon, name, last modified, size and description,
+    // in the server's local time
+    detect: body => /href="\?C=[NMSD](;|&amp;)O=[AD]"|<address>Apache/i.test(body),
+    parse: body => [...listingDocument(body).querySelectorAll('a')].map(a => {
+      const cell = a.closest('td');
+      const text = cell
+        ? [...cell.parentNode.cells].slice(cell.cellIndex + 1).map(c => c.textContent).join('  ')
+        : trailingText(a);
+      return listingEntry(a.getAttribute('href'), columnFields(text, false));
+    })
+  },
+  {
+    name: 'lighttpd',
+    label: 'lighttpd mod_dirlisting',
+    // <td class="n"><a href="core/">core</a>/</td><td class="m">2025-Jan-15 10:00:00</td><td class="s">- &nbsp;</td>,
+    // in the server's local time
+    detect: body => /summary="Directory Listing"|<div class="foot">lighttpd/i.test(body),
+    parse: body => [...listingDocument(body).querySelectorAll('td.n a')].map(a => {
+      const row = a.closest('tr');
+      const date = parseListingDate(row.querySelector('td.m') ? row.querySelector('td.m').textContent : '');
+      return listingEntry(a.getAttribute('href'), {
+        ...parseListingSize(row.querySelector('td.s') ? row.querySelector('td.s').textContent : ''),
+        mtime: date ? date.time : undefined
+      });
+    })
+  },
+  {
+    name: 'caddy',
+    label: 'Caddy browse',
+    // One row per entry: <a href="./name">, the exact size in data-size (data-order in older versions, -1 for
+    // directories) and <time datetime="2025-01-15T10:00:00Z">
+    detect: body => /caddyserver\.com|class="sizebar"/.test(body),
+    parse: body => [...listingDocument(body).querySelectorAll('tr')].map(row => {
+      const a = row.querySelector('a[href]');
+      if (!a) return null;
+      const sizeCell = row.querySelector('td[data-size]') || row.querySelector('td[data-order]');
+      const size = sizeCell ? parseInt(sizeCell.getAttribute('data-size') || sizeCell.getAttribute('data-order'), 10) : NaN;
+      const time = row.querySelector('time[datetime]');
+      return listingEntry(a.getAttribute('href'), {
+        size: size >= 0 ? size : undefined,
+        sizeExact: size >= 0,
+        mtime: time ? Date.parse(time.getAttribute('datetime')) : undefined,
+        mtimeSlack: 1000
+      });
+    })
+  },
+  {
+    name: 'nginx',
+    label: 'nginx autoindex',
+    // <pre> with one "<a href>name</a>   15-Jan-2025 10:00   123456" line per entry, in UTC. The package
+    // server's own listings look the same, with ISO dates
+    detect: body => /<hr>\s*<pre>/i.test(body),
+    parse: body => [...listingDocument(body).querySelectorAll('pre a')]
+      .map(a => listingEntry(a.getAttribute('href'), columnFields(trailingText(a), true)))
+  },
+  {
+    name: 'links',
+    label: 'plain links',
+    // Anything else: every relative link is an entry, without size or mtime
+    detect: () => true,
+    parse: body => [...listingDocument(body).querySelectorAll('a')].map(a => listingEntry(a.getAttribute('href')))
+  }
+];
+
+// Entries of a listing page and the parser that read it (also for trying saved pages)
+function parseListing(body) {
+  const parser = LISTING_PARSERS.find(p => p.detect(body));
+  return { format: parser.name, entries: parser.parse(body).filter(Boolean) };
+}
+
+// Fetch and parse a directory of a mirror, remembering which kind of listing the mirror serves
+async function fetchListing(mirror, url, timeout = DIR_LIST_TIMEOUT) {
+  const res = await dirPool(() => axios.get(url, { timeout, responseType: 'text' }));
+  const { format, entries } = parseListing(String(res.data));
+  const health = getMirrorHealth(mirror);
+  if (health.listingFormat !== format) {
+    health.listingFormat = format;
+    addLog(`Reading the directory listings of ${mirror} as ${LISTING_PARSERS.find(p => p.name === format).label}`);
+    updateMirrorScores();
+  }
+  return entries;
+}
+
+// Plan entry of a listed file. Exact sizes of packages are checked like those from a repo database, files that
+// change in place may change between listing and download, for them the listing only feeds change detection
+function listedFile(mirror, relPath, entry) {
+  const { size, sizeExact, mtime, mtimeSlack } = entry;
+  const fileObj = { mirror, relPath, listing: { size, sizeExact, mtime, mtimeSlack } };
+  if (sizeExact && !isMutableFile(relPath)) fileObj.size = size;
+  return fileObj;
+}
+
+// --- Improved scanning speed and reliability ---
+const DIR_LIST_TIMEOUT = 7000; // ms, lower timeout for directory listing
+const DIR_SCAN_CONCURRENCY = 10; // max concurrent directory requests
+
+// Simple concurrency pool for async functions
+function createConcurrencyPool(limit) {
+  let active = 0;
+  const queue = [];
+  function run(fn) {
+    return new Promise((resolve, reject) => {
+      const task = async () => {
+        active++;
+        try {
+          const result = await fn();
+          resolve(result);
+        } catch (err) {
+          reject(err);
+        } finally {
+          active--;
+          if (queue.length) queue.shift()();
+        }
+      };
+      if (active < limit) {
+        task();
+      } else {
+        queue.push(task);
+      }
+    });
+  }
+  return run;
+}
+
+const dirPool = createConcurrencyPool(DIR_SCAN_CONCURRENCY);
+
+// Target scan roots that had errors in the current run, they are never pruned
+let scanFailedRoots = new Set();
+
+function markScanFailed(basePath) {
+  const dir = (basePath || '').replace(/\/+$/, '');
+  const roots = runTargets.flatMap(targetScanRoots);
+  const hit = roots.filter(root => dir === root || dir.startsWith(root + '/'));
+  (hit.length ? hit : roots).forEach(root => scanFailedRoots.add(root));
+}
+
+// Recursively fetch all files and directories from a given path on the mirror, with concurrency
+async function fetchAllFilesRecursive(mirror, basePath) {
+  let url = mirror;
+  if (!url.endsWith('/')) url += '/';
+  url += basePath;
+  if (url.endsWith('//')) url = url.replace(/\/+$/, '/'); // avoid double slash
+
+  let files = [];
+  try {
+    const entries = await fetchListing(mirror, url);
+    const subdirPromises = [];
+    for (const entry of entries) {
+      const fullPath = path.posix.join(basePath, entry.name);
+      if (entry.type === 'dir') {
+        subdirPromises.push(fetchAllFilesRecursive(mirror, fullPath + '/'));
+      } else {
+        files.push(listedFile(mirror, fullPath, entry));
+      }
+    }
+    const subdirFiles = await Promise.allSettled(subdirPromises);
+    for (const result of subdirFiles) {
+      if (result.status === 'fulfilled') {
+        files = files.concat(result.value);
+      } else {
+        addLog(`Failed to list ${url}: ${result.reason && result.reason.message ? result.reason.message : result.reason}`);
+        markScanFailed(basePath);
+      }
+    }
+  } catch (err) {
+    addLog(`Failed to list ${url}: ${err.message}`);
+    markScanFailed(basePath);
+  }
+  return files;
+}
+
+// --- Pacman repo database plan ---
+
+const DB_FETCH_TIMEOUT = 60000; // ms, repo databases can be several MB
+
+// Repo databases are gzip'd tarballs by default; plain tar and zstd (Node 22.15+) also work
+function decompressRepoDb(buf) {
+  if (buf[0] === 0x1f && buf[1] === 0x8b) return zlib.gunzipSync(buf);
+  if (buf.readUInt32LE(0) === 0xfd2fb528) {
+    if (typeof zlib.zstdDecompressSync === 'function') return zlib.zstdDecompressSync(buf);
+    throw new Error('zstd-compressed repo databases need Node 22.15 or newer');
+  }
+  if (buf.subarray(1, 6).toString() === '7zXZ') throw new Error('xz-compressed repo databases are not supported');
+  return buf;
+}
+
+function tarString(buf, start, end) {
+  const raw = buf.toString('utf8', start, end);
+  const nul = raw.indexOf('\0');
+  return nul === -1 ? raw : raw.slice(0, nul);
+}
+
+// Minimal tar reader (ustar, pax and GNU long names), returns regular files only
+function readTarEntries(buf) {
+  const entries = [];
+  let offset = 0;
+  let longName = null;
+  while (offset + 512 <= buf.length) {
+    const header = buf.subarray(offset, offset + 512);
+    if (header.every(b => b === 0)) break;
+    let name = tarString(header, 0, 100);
+    if (tarString(header, 257, 262) === 'ustar') {
+      const prefix = tarString(header, 345, 500);
+      if (prefix) name = prefix + '/' + name;
+    }
+    const size = parseInt(tarString(header, 124, 136).trim() || '0', 8);
+    const type = header[156] === 0 ? '0' : String.fromCharCode(header[156]);
+    const data = buf.subarray(offset + 512, offset + 512 + size);
+    offset += 512 + Math.ceil(size / 512) * 512;
+
+    if (type === 'L') {
+      longName = tarString(data, 0, data.length);
+    } else if (type === 'x') {
+      const match = data.toString('utf8').match(/(?:^|\n)\d+ path=([^\n]*)\n/);
+      if (match) longName = match[1];
+    } else if (type === '0') {
+      entries.push({ name: longName || name, data });
+      longName = null;
+    } else {
+      longName = null;
+    }
+  }
+  return entries;
+}
+
+function tarHeader(name, size) {
+  const header = Buffer.alloc(512);
+  let prefix = '';
+  if (Buffer.byteLength(name) > 100) {
+    // ustar keeps up to 155 more bytes of the directory part in the prefix field
+    const cut = name.lastIndexOf('/', 155);
+    prefix = name.slice(0, cut);
+    name = name.slice(cut + 1);
+  }
+  header.write(name, 0, 100);
+  header.write('0000644\0', 100);
+  header.write('0000000\0', 108);
+  header.write('0000000\0', 116);
+  header.write(size.toString(8).padStart(11, '0') + '\0', 124);
+  header.write('00000000000\0', 136); // mtime 0, so the same packages always give the same archive
+  header.write('        ', 148);
+  header.write('0', 156);
+  header.write('ustar\0', 257);
+  header.write('00', 263);
+  header.write(prefix, 345, 155);
+  const checksum = header.reduce((sum, b) => sum + b, 0);
+  header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148);
+  return header;
+}
+
+// Minimal ustar writer for regular files, the counterpart of readTarEntries
+function writeTar(entries) {
+  const blocks = [];
+  for (const { name, data } of entries) {
+    blocks.push(tarHeader(name, data.length), data, Buffer.alloc((512 - data.length % 512) % 512));
+  }
+  blocks.push(Buffer.alloc(1024));
+  return Buffer.concat(blocks);
+}
+
+// Parse a pacman `desc` file: a %KEY% line followed by value lines, entries separated by blank lines
+function parseDesc(text) {
+  const fields = {};
+  let key = null;
+  for (const line of text.split('\n')) {
+    const match = line.match(/^%([A-Z0-9]+)%$/);
+    if (match) {
+      key = match[1];
+      fields[key] = [];
+    } else if (line === '') {
+      key = null;
+    } else if (key) {
+      fields[key].push(line);
+    }
+  }
+  return fields;
+}
+
+function serializeDesc(fields) {
+  return Object.entries(fields).map(([key, values]) => `%${key}%\n${values.join('\n')}\n\n`).join('');
+}
+
+// Returns one parsed desc per package in the database
+function parseRepoDb(buf) {
+  return readTarEntries(decompressRepoDb(buf))
+    .filter(entry => entry.name.endsWith('/desc'))
+    .map(entry => parseDesc(entry.data.toString('utf8')));
+}
+
+async function fetchRepoDb(mirror, repoPath, repo) {
+  const url = `${mirror.replace(/\/+$/, '')}/${repoPath}/${repo}.db`;
+  const res = await axios.get(url, { responseType: 'arraybuffer', timeout: DB_FETCH_TIMEOUT });
+  return parseRepoDb(Buffer.from(res.data));
+}
+
+// Repo databases of a repo target, one per arch
+async function readRepoDatabases(mirror, target) {
+  const repo = path.posix.basename(target.root);
+  const dbs = [];
+  for (const repoPath of targetScanRoots(target)) {
+    let packages;
+    try {
+      packages = await fetchRepoDb(mirror, repoPath, repo);
+    } catch (err) {
+      addLog(`Failed to read repo database ${repoPath}/${repo}.db from ${mirror}: ${err.message}`);
+      markScanFailed(repoPath);
+      continue;
+    }
+    addLog(`Read ${packages.length} packages from ${repoPath}/${repo}.db`);
+    dbs.push({ target, repo, repoPath, arch: path.posix.basename(repoPath), packages });
+  }
+  return dbs;
+}
+
+// The exact file list of a repo database: packages, signatures and (unless we write our own) the databases
+function repoDbFiles(mirror, db, { withDatabases = true } = {}) {
+  const files = [];
+  for (const pkg of db.packages) {
+    if (!pkg.FILENAME || !pkg.FILENAME[0]) continue;
+    const relPath = path.posix.join(db.repoPath, pkg.FILENAME[0]);
+    files.push({
+      mirror,
+      relPath,
+      size: pkg.CSIZE ? parseInt(pkg.CSIZE[0], 10) : undefined,
+      sha256: pkg.SHA256SUM ? pkg.SHA256SUM[0] : undefined
+    });
+    // Older databases embed the detached signature, which gives us its exact size. Newer ones don't
+    // say whether there is one: a 404 then means the package is unsigned, see flagUnsignedPackages
+    files.push({
+      mirror,
+      relPath: relPath + '.sig',
+      size: pkg.PGPSIG ? Buffer.from(pkg.PGPSIG.join(''), 'base64').length : undefined,
+      optional: !pkg.PGPSIG
+    });
+  }
+  if (withDatabases) {
+    // Only <repo>.db is certain, not every mirror publishes the other names
+    for (const name of repoDbNames(db.repo)) {
+      files.push({ mirror, relPath: path.posix.join(db.repoPath, name), optional: name !== `${db.repo}.db` });
+    }
+  }
+  return files;
+}
+
+function repoDbNames(repo) {
+  return [`${repo}.db`, `${repo}.db.tar.gz`, `${repo}.files`, `${repo}.files.tar.gz`];
+}
+
+async function fetchAllFilesFromRepoDb(mirror, target) {
+  const dbs = await readRepoDatabases(mirror, target);
+  return dbs.flatMap(db => repoDbFiles(mirror, db));
+}
+
+// Scan one target: repo targets from their databases in repodb mode, everything else by crawling the listings
+async function fetchTargetFiles(mirror, target) {
+  let files = [];
+  if (target.type === 'repo' && SYNC_MODE === 'repodb') {
+    files = await fetchAllFilesFromRepoDb(mirror, target);
+  } else {
+    for (const root of targetScanRoots(target)) {
+      files = files.concat(await fetchAllFilesRecursive(mirror, root + '/'));
+    }
+  }
+  return filterTargetFiles(target, files);
+}
+
+function filterTargetFiles(target, files) {
+  return applyRetention(target, files.filter(f => matchesTarget(target, f.relPath)));
+}
+
+// Scan the mirror for every target of the run
+async function buildSyncPlan(mirror) {
+  trimmedDatabases = [];
+  if (!PACKAGES.length) {
+    const plans = await Promise.all(runTargets.map(target => fetchTargetFiles(mirror, target)));
+    return plans.flat();
+  }
+  // Partial mirror: all repo databases first, dependencies cross repos
+  const dbs = [];
+  for (const target of runTargets.filter(t => t.type === 'repo')) {
+    dbs.push(...await readRepoDatabases(mirror, target));
+  }
+  selectPackages(dbs);
+  trimmedDatabases = dbs;
+  const plans = await Promise.all(runTargets.map(target => target.type === 'repo'
+    ? filterTargetFiles(target, dbs.filter(db => db.target === target).flatMap(db => repoDbFiles(mirror, db, { withDatabases: false })))
+    : fetchTargetFiles(mirror, target)));
+  return plans.flat();
+}
+
+// --- Partial mirror ---
+
+// Repo databases of the current run with only the selected packages left, written out after the downloads
+let trimmedDatabases = [];
+
+const packagePatterns = PACKAGES.map(globToRegExp);
+const denyPatterns = PACKAGES_DENY.map(globToRegExp);
+
+// glibc>=2.38, libfoo.so=1-64 -> glibc, libfoo.so
+function stripVersion(dep) {
+  return dep.split(/[<>=]/)[0];
+}
+
+// Narrow every database down to the PACKAGES selection and its dependency closure (depends, and
+// makedepends with PACKAGES_MAKEDEPENDS). Resolved per arch across all repos, like pacman would:
+// the first repo that has a package (or something providing it) wins
+function selectPackages(dbs) {
+  const arches = [...new Set(dbs.map(db => db.arch))];
+  for (const arch of arches) {
+    const archDbs = dbs.filter(db => db.arch === arch);
+    const byName = new Map();
+    const providers = new Map();
+    const groups = new Map();
+    for (const db of archDbs) {
+      for (const pkg of db.packages) {
+        if (!pkg.NAME) continue;
+        if (!byName.has(pkg.NAME[0])) byName.set(pkg.NAME[0], pkg);
+        for (const provide of pkg.PROVIDES || []) {
+          const name = stripVersion(provide);
+          if (!providers.has(name)) providers.set(name, pkg);
+        }
+        for (const group of pkg.GROUPS || []) {
+          if (!groups.has(group)) groups.set(group, []);
+          groups.get(group).push(pkg);
+        }
+      }
+    }
+    const isDenied = pkg => denyPatterns.some(re => re.test(pkg.NAME[0]));
+
+    // Names and globs match package names and group names
+    const queue = [];
+    PACKAGES.forEach((pattern, i) => {
+      const re = packagePatterns[i];
+      const matches = [...byName.values()].filter(pkg => re.test(pkg.NAME[0]));
+      for (const [group, members] of groups) {
+        if (re.test(group)) matches.push(...members);
+      }
+      if (!matches.length) addLog(`PACKAGES: "${pattern}" matches no package or group for ${arch}`);
+      queue.push(...matches.filter(pkg => !isDenied(pkg)));
+    });
+    const requested = new Set(queue);
+
+    const selected = new Set();
+    const unresolved = new Set();
+    const deniedDeps = new Set();
+    while (queue.length) {
+      const pkg = queue.shift();
+      if (selected.has(pkg)) continue;
+      selected.add(pkg);
+      const deps = (pkg.DEPENDS || []).concat(PACKAGES_MAKEDEPENDS ? pkg.MAKEDEPENDS || [] : []);
+      for (const dep of deps) {
+        const name = stripVersion(dep);
+        const target = byName.get(name) || providers.get(name);
+        if (!target) {
+          unresolved.add(dep);
+        } else if (isDenied(target)) {
+          deniedDeps.add(target.NAME[0]);
+        } else if (!selected.has(target)) {
+          queue.push(target);
+        }
+      }
+    }
+    for (const db of archDbs) db.packages = db.packages.filter(pkg => selected.has(pkg));
+    addLog(`Selected ${selected.size} of ${byName.size} packages for ${arch} (${selected.size - requested.size} as dependencies)`);
+    if (unresolved.size) addLog(`Unresolved dependencies for ${arch}: ${[...unresolved].slice(0, 20).join(', ')}`);
+    if (deniedDeps.size) addLog(`Denied packages needed as dependencies for ${arch}: ${[...deniedDeps].slice(0, 20).join(', ')}`);
+  }
+}
+
+// Write <repo>.db/.files covering exactly the selected packages, once they are all downloaded. The .files
+// databases only carry the package descriptions, not the file lists. Returns every database path (for pruning)
+async function writeTrimmedDatabases(failedFiles) {
+  const failedDirs = new Set(failedFiles.map(f => path.posix.dirname(f.relPath)));
+  const relPaths = [];
+  for (const db of trimmedDatabases) {
+    const dbPaths = repoDbNames(db.repo).map(name => path.posix.join(db.repoPath, name));
+    relPaths.push(...dbPaths);
+    if (failedDirs.has(db.repoPath)) {
+      addLog(`Keeping the old databases in ${db.repoPath}, some of its packages failed to download`);
+      continue;
+    }
+    const archive = zlib.gzipSync(writeTar(db.packages.map(pkg => ({
+      name: `${pkg.NAME[0]}-${pkg.VERSION[0]}/desc`,
+      data: Buffer.from(serializeDesc(pkg))
+    }))));
+    let written = 0;
+    for (const relPath of dbPaths) {
+      const localPath = path.join(__dirname, 'mirror', relPath);
+      const current = await fs.readFile(localPath).catch(() => null);
+      if (current && current.equals(archive)) continue;
+      await fs.outputFile(localPath + '.part', archive);
+      await moveIntoPlace(localPath + '.part', localPath);
+      written++;
+    }
+    if (written) addLog(`Wrote ${db.repoPath}/${db.repo}.db with ${db.packages.length} package(s)`);
+  }
+  return relPaths;
+}
+
+// --- Download verification ---
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// Compare a downloaded file with the size/SHA-256 from the repo database, returns the problem or null
+async function verifyDownloadedFile(fileObj, filePath) {
+  if (typeof fileObj.size === 'number') {
+    const { size } = await fs.stat(filePath);
+    if (size !== fileObj.size) return `size mismatch (expected ${fileObj.size}, got ${size})`;
+  }
+  if (fileObj.sha256) {
+    const digest = await hashFile(filePath);
+    if (digest !== fileObj.sha256.toLowerCase()) return `SHA-256 mismatch (expected ${fileObj.sha256}, got ${digest})`;
+  }
+  return null;
+}
+
+// Move a bad download out of the mirror tree, keyed by the mirror it came from
+async function quarantineFile(fileObj, filePath, mirror, reason) {
+  const target = path.join(QUARANTINE_DIR, new URL(mirror).hostname, fileObj.relPath);
+  await fs.move(filePath, target, { overwrite: true });
+  syncState.quarantinedCount++;
+  syncState.verificationFailures.push({ relPath: fileObj.relPath, mirror, reason, time: new Date().toISOString() });
+  if (syncState.verificationFailures.length > VERIFICATION_FAILURE_LIMIT) {
+    syncState.verificationFailures = syncState.verificationFailures.slice(-VERIFICATION_FAILURE_LIMIT);
+  }
+  addLog(`Quarantined ${fileObj.relPath} from ${mirror}: ${reason}`);
+}
+
+// Flag packages in the plan that have no detached signature next to them. A directory crawl only plans
+// the .sig files it saw upstream, a repo database plans one for every package (`optional`, skipped on a
+// 404), so after the downloads those only count when we actually got them
+async function flagUnsignedPackages(allFiles) {
+  const sigs = new Map(allFiles.filter(f => f.relPath.endsWith('.sig')).map(f => [f.relPath, f]));
+  const unsigned = [];
+  for (const { relPath } of allFiles) {
+    if (!/\.pkg\.tar(\.[a-z0-9]+)?$/.test(relPath)) continue;
+    const sig = sigs.get(relPath + '.sig');
+    if (!sig) {
+      unsigned.push(relPath);
+    } else if (sig.optional && await fs.pathExists(path.join(MIRROR_DIR, relPath)) &&
+      !(await fs.pathExists(path.join(MIRROR_DIR, sig.relPath)))) {
+      // Only packages we have, one that failed or wasn't reached says nothing about its signature
+      unsigned.push(relPath);
+    }
+  }
+  syncState.unsignedPackages = unsigned.slice(0, VERIFICATION_FAILURE_LIMIT);
+  if (unsigned.length) {
+    addLog(`Warning: ${unsigned.length} package(s) have no .sig file, e.g. ${unsigned[0]}`);
+  }
+  return unsigned;
+}
+
+// --- Mirrorlist import ---
+
+// Parse a pacman mirrorlist: `## Country` headers followed by (optionally commented out)
+// `Server = https://host/path/$repo/os/$arch` lines. Returns base URLs the sync logic can use.
+function parseMirrorlist(text) {
+  const mirrors = [];
+  let country = null;
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.trim();
+    const server = line.match(/^#?\s*Server\s*=\s*(\S+)/);
+    if (server) {
+      const base = server[1].replace(/\/\$repo\/os\/\$arch\/?$/, '');
+      if (base.includes('$')) continue; // unusual layout we can't map onto <base>/<repo>/os/<arch>
+      mirrors.push({ country, url: base, protocol: base.split(':')[0].toLowerCase() });
+    } else {
+      const header = line.match(/^##\s*(.+?)\s*$/);
+      // Skip the preamble (`## Arch Linux repository mirrorlist`, `## Generated on ...`)
+      if (header && !/mirrorlist|generated on/i.test(header[1])) country = header[1];
+    }
+  }
+  return mirrors;
+}
+
+async function readMirrorlist(source) {
+  if (/^https?:\/\//.test(source)) {
+    const res = await axios.get(source, { timeout: 30000, responseType: 'text' });
+    return res.data;
+  }
+  return fs.readFile(path.resolve(__dirname, source), 'utf8');
+}
+
+// Time a small request to each mirror and keep the fastest `count`
+async function pickFastestMirrors(urls, count) {
+  const pool = createConcurrencyPool(DIR_SCAN_CONCURRENCY);
+  const timed = await Promise.all(urls.map(url => pool(async () => {
+    const started = Date.now();
+    try {
+      await axios.get(`${url}/lastsync`, { timeout: MIRROR_PROBE_TIMEOUT, responseType: 'text' });
+      return { url, ms: Date.now() - started };
+    } catch {
+      return { url, ms: Infinity };
+    }
+  })));
+  return timed
+    .filter(t => t.ms !== Infinity)
+    .sort((a, b) => a.ms - b.ms)
+    .slice(0, count)
+    .map(t => t.url);
+}
+
+// Refresh MIRRORS from MIRRORLIST. Keeps the current list when the mirrorlist can't be read
+// or nothing matches the filters.
+async function loadMirrorlist() {
+  if (!MIRRORLIST) return;
+  let entries;
+  try {
+    entries = parseMirrorlist(await readMirrorlist(MIRRORLIST));
+  } catch (err) {
+    addLog(`Failed to read mirrorlist ${MIRRORLIST}: ${err.message}`);
+    return;
+  }
+  let urls = entries
+    .filter(m => !MIRRORLIST_COUNTRIES.length || (m.country && MIRRORLIST_COUNTRIES.includes(m.country.toLowerCase())))
+    .filter(m => MIRRORLIST_PROTOCOLS.includes(m.protocol))
+    .map(m => m.url);
+  urls = [...new Set(urls)];
+  if (MIRRORLIST_MAX > 0) urls = urls.slice(0, MIRRORLIST_MAX);
+  if (MIRRORLIST_FASTEST > 0 && urls.length > MIRRORLIST_FASTEST) {
+    addLog(`Probing ${urls.length} mirrors from the mirrorlist for the fastest ${MIRRORLIST_FASTEST}...`);
+    urls = await pickFastestMirrors(urls, MIRRORLIST_FASTEST);
+  }
+  if (!urls.length) {
+    addLog(`No mirrors in ${MIRRORLIST} match the filters, keeping ${MIRRORS.length} configured mirror(s)`);
+    return;
+  }
+  MIRRORS = urls;
+  addLog(`Using ${MIRRORS.length} mirror(s) from ${MIRRORLIST}`);
+}
+
+// --- Mirror health ---
+
+const MIRROR_PROBE_TIMEOUT = 10000; // ms
+const THROUGHPUT_MIN_BYTES = 64 * 1024; // smaller downloads say more about latency than throughput
+
+// Per-mirror stats for the current process, keyed by base URL
+const mirrorHealth = {};
+
+function getMirrorHealth(mirror) {
+  if (!mirrorHealth[mirror]) {
+    mirrorHealth[mirror] = {
+      mirror,
+      latencyMs: null,
+      throughput: null, // bytes/sec, moving average
+      successes: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      lastsync: null,
+      lagSeconds: null,
+      benched: false,
+      benchReason: null,
+      listingFormat: null, // see "Directory listings"
+      score: 0
+    };
+  }
+  return mirrorHealth[mirror];
+}
+
+// 0-100 from latency, throughput (relative to the fastest mirror), error rate and freshness
+function computeMirrorScore(health, bestThroughput) {
+  if (health.benched) return 0;
+  const latency = health.latencyMs === null ? 0.5 : 1 / (1 + health.latencyMs / 250);
+  const throughput = health.throughput === null || !bestThroughput ? 0.5 : health.throughput / bestThroughput;
+  const attempts = health.successes + health.failures;
+  const reliability = attempts ? health.successes / attempts : 1;
+  const freshness = health.lagSeconds === null ? 0.5 : 1 - Math.min(1, health.lagSeconds / (MIRROR_MAX_LAG_HOURS * 3600));
+  return Math.round(100 * (0.2 * latency + 0.4 * throughput + 0.3 * reliability + 0.1 * freshness));
+}
+
+function updateMirrorScores() {
+  const all = MIRRORS.map(getMirrorHealth);
+  const bestThroughput = Math.max(0, ...all.map(h => h.throughput || 0));
+  all.forEach(h => { h.score = computeMirrorScore(h, bestThroughput); });
+  syncState.mirrors = all.map(h => ({ ...h })).sort((a, b) => b.score - a.score);
+}
+
+function benchMirror(mirror, reason) {
+  const health = getMirrorHealth(mirror);
+  if (health.benched) return;
+  health.benched = true;
+  health.benchReason = reason;
+  addLog(`Mirror benched: ${mirror} (${reason})`);
+  notify('mirror.benched', { mirror, reason });
+  updateMirrorScores();
+}
+
+function recordMirrorSuccess(mirror, bytes, ms) {
+  metrics.bytesByMirror[mirror] = (metrics.bytesByMirror[mirror] || 0) + bytes;
+  recordRunBytes(mirror, bytes);
+  const health = getMirrorHealth(mirror);
+  health.successes++;
+  health.consecutiveFailures = 0;
+  if (bytes >= THROUGHPUT_MIN_BYTES && ms > 0) {
+    const speed = bytes / (ms / 1000);
+    health.throughput = health.throughput === null ? speed : Math.round(0.7 * health.throughput + 0.3 * speed);
+  }
+  updateMirrorScores();
+}
+
+function recordMirrorFailure(mirror, err) {
+  metrics.failuresByMirror[mirror] = (metrics.failuresByMirror[mirror] || 0) + 1;
+  const health = getMirrorHealth(mirror);
+  health.failures++;
+  health.consecutiveFailures++;
+  if (health.consecutiveFailures >= MIRROR_MAX_FAILURES) {
+    benchMirror(mirror, `${health.consecutiveFailures} failures in a row, last: ${err.message}`);
+  }
+  updateMirrorScores();
+}
+
+// Measure latency and read lastsync of every mirror, bench the ones that are unreachable or too far behind
+async function probeMirrors() {
+  const pool = createConcurrencyPool(DIR_SCAN_CONCURRENCY);
+  await Promise.all(MIRRORS.map(mirror => pool(async () => {
+    const health = getMirrorHealth(mirror);
+    health.benched = false;
+    health.benchReason = null;
+    health.consecutiveFailures = 0;
+    const started = Date.now();
+    try {
+      const text = await fetchMirrorText(mirror, 'lastsync', MIRROR_PROBE_TIMEOUT);
+      health.latencyMs = Date.now() - started;
+      const lastsync = parseInt(text.trim(), 10);
+      health.lastsync = isNaN(lastsync) ? null : lastsync;
+    } catch (err) {
+      health.latencyMs = null;
+      health.lastsync = null;
+      benchMirror(mirror, `probe failed: ${err.message}`);
+    }
+  })));
+
+  // Freshness is relative to the most recently synced mirror
+  const reference = Math.max(0, ...MIRRORS.map(m => getMirrorHealth(m).lastsync || 0));
+  for (const mirror of MIRRORS) {
+    const health = getMirrorHealth(mirror);
+    health.lagSeconds = health.lastsync && reference ? reference - health.lastsync : null;
+    if (health.lagSeconds !== null && health.lagSeconds > MIRROR_MAX_LAG_HOURS * 3600) {
+      benchMirror(mirror, `out of date, ${Math.round(health.lagSeconds / 3600)}h behind`);
+    }
+  }
+  updateMirrorScores();
+}
+
+// Usable HTTP (or with `rsync`, rsync) mirrors, best score first (optionally with a preferred mirror
+// in front). Falls back to all of them when everything is benched rather than giving up.
+function orderMirrors(preferred, { rsync = false } = {}) {
+  updateMirrorScores();
+  const candidates = MIRRORS.filter(m => isRsyncMirror(m) === rsync);
+  let ordered = syncState.mirrors.filter(h => !h.benched && candidates.includes(h.mirror)).map(h => h.mirror);
+  if (!ordered.length) ordered = candidates;
+  if (preferred && ordered.includes(preferred)) {
+    ordered = [preferred, ...ordered.filter(m => m !== preferred)];
+  }
+  return ordered;
+}
+
+// --- Change detection ---
+
+// Files that are replaced in place upstream (as opposed to packages, whose name changes with every version)
+function isMutableFile(relPath) {
+  const name = path.posix.basename(relPath);
+  return name === 'lastupdate' || name === 'lastsync' ||
+    /\.(db|files|links)(\.tar(\.[a-z0-9]+)?)?(\.sig)?$/.test(name) ||
+    // Checksum lists and the undated files in iso/latest are rewritten with every release
+    /sums\.txt$/.test(name) || relPath.split('/').includes('latest');
+}
+
+const FILE_META_PATH = path.join(DATA_DIR, 'file-meta.json');
+
+// Validators (ETag/Last-Modified) of the mutable files we downloaded, keyed by relPath
+let fileMeta = {};
+try {
+  fileMeta = fs.readJsonSync(FILE_META_PATH);
+} catch {}
+
+async function saveFileMeta() {
+  try {
+    await fs.outputJson(FILE_META_PATH, fileMeta);
+  } catch (err) {
+    addLog(`Failed to save ${FILE_META_PATH}: ${err.message}`);
+  }
+}
+
+// Packages are up to date once present (with the right size, when known). Mutable files are
+// compared against the mirror: ETag if we have one from the same mirror, else size and Last-Modified.
+async function isUpToDate(fileObj) {
+  const localPath = path.join(__dirname, 'mirror', fileObj.relPath);
+  let stat;
+  try {
+    stat = await fs.stat(localPath);
+  } catch {
+    return false;
+  }
+  if (typeof fileObj.size === 'number' && stat.size !== fileObj.size) return false;
+  if (!isMutableFile(fileObj.relPath)) return true;
+
+  // The listing usually answers without a HEAD request: another exact size or a newer mtime means changed,
+  // the same exact size (or an mtime that can't be newer even at the listing's precision) means unchanged
+  const listed = fileObj.listing;
+  if (listed && listed.sizeExact && listed.size !== stat.size) return false;
+  if (listed && listed.mtimeSlack !== null) {
+    if (listed.mtime > stat.mtimeMs + 1000) return false;
+    if (listed.sizeExact || listed.mtime + listed.mtimeSlack <= stat.mtimeMs + 1000) return true;
+  }
+
+  const url = fileObj.mirror.replace(/\/+$/, '') + '/' + fileObj.relPath.replace(/^\//, '');
+  let headers;
+  try {
+    headers = (await axios.head(url, { timeout: 10000 })).headers;
+  } catch (err) {
+    addLog(`Failed to check ${fileObj.relPath} for changes: ${err.message}`);
+    return false;
+  }
+  const meta = fileMeta[fileObj.relPath];
+  if (headers.etag && meta && meta.etag && meta.mirror === fileObj.mirror) return headers.etag === meta.etag;
+  if (headers['content-length'] && parseInt(headers['content-length'], 10) !== stat.size) return false;
+  // Local mtime is set from Last-Modified on download, a mirror that is behind never downgrades us
+  if (headers['last-modified']) return Date.parse(headers['last-modified']) <= stat.mtimeMs + 1000;
+  return false;
+}
+
+// Move a verified .part into place, keeping the upstream mtime and validators for change detection
+async function commitDownload(fileObj, { mirror, partPath, localPath, headers }) {
+  const existed = await moveIntoPlace(partPath, localPath);
+  recordRunFile(fileObj, existed ? 'updated' : 'added');
+  const lastModified = headers && headers['last-modified'] ? new Date(headers['last-modified']) : null;
+  if (lastModified && !isNaN(lastModified)) await fs.utimes(localPath, lastModified, lastModified);
+  if (isMutableFile(fileObj.relPath)) {
+    fileMeta[fileObj.relPath] = {
+      mirror,
+      etag: (headers && headers.etag) || null,
+      lastModified: (headers && headers['last-modified']) || null
+    };
+  }
+}
+
+// Download a single file, preserving the full relative path.
+// With { stage: true } the verified download stays a .part and is returned for commitDownload()
+async function downloadMirrorFile(fileObj, mirrors, workerId = 0, { stage = false } = {}) {
+  const localPath = path.join(__dirname, 'mirror', fileObj.relPath);
+  const partPath = localPath + '.part';
+
+  // Check if file exists and is up-to-date
+  if (await isUpToDate(fileObj)) {
+    forgetRetry(fileObj.relPath);
+    return null;
+  }
+
+  let lastError;
+  for (const mirror of mirrors) {
+    const url = mirror.replace(/\/+$/, '') + '/' + fileObj.relPath.replace(/^\//, '');
+    // A leftover .part of a file that changes in place may be another version, never resume it
+    if (isMutableFile(fileObj.relPath)) await fs.remove(partPath);
+
+    try {
+      addLog(`Worker #${workerId + 1}: Downloading ${fileObj.relPath} from ${mirror}...`);
+      const started = Date.now();
+      const resumedFrom = (await fs.pathExists(partPath)) ? (await fs.stat(partPath)).size : 0;
+      const headers = await downloadToPart(url, partPath);
+      recordMirrorSuccess(mirror, (await fs.stat(partPath)).size - resumedFrom, Date.now() - started);
+
+      // Never keep a file that doesn't match the repo database, try the next mirror instead
+      const problem = await verifyDownloadedFile(fileObj, partPath);
+      if (problem) {
+        await quarantineFile(fileObj, partPath, mirror, problem);
+        throw new Error(`verification failed, ${problem}`);
+      }
+      metrics.filesSynced++;
+      const download = { mirror, partPath, localPath, headers };
+      addLog(`Worker #${workerId + 1}: Downloaded ${fileObj.relPath} from ${mirror}`);
+      // Only complete, verified files ever appear under their real name
+      if (!stage) await commitDownload(fileObj, download);
+      forgetRetry(fileObj.relPath);
+      return download;
+    } catch (err) {
+      // An `optional` file was only guessed by the plan, a 404 means upstream doesn't publish it
+      if (fileObj.optional && classifyError(err) === 'not-found') {
+        addLog(`Worker #${workerId + 1}: ${fileObj.relPath} is not on ${mirror}, skipping it`);
+        await fs.remove(partPath);
+        forgetRetry(fileObj.relPath);
+        return null;
+      }
+      lastError = err;
+      recordMirrorFailure(mirror, err);
+      addLog(`Worker #${workerId + 1}: Failed to download ${fileObj.relPath} from ${mirror}: ${err.message}`);
+    }
+  }
+  addLog(`Worker #${workerId + 1}: Failed to download ${fileObj.relPath} from all mirrors.`);
+  recordFileFailure(fileObj, lastError);
+  queueRetry(fileObj, lastError);
+  throw lastError;
+}
+
+// Repo databases and other mutable files go last and are swapped in together once all of them are
+// downloaded, so clients never see a database that references packages we don't have yet.
+// Directories where a package failed keep their old databases until the next run.
+async function syncMetadataFiles(metadataFiles, failedFiles) {
+  const failedDirs = new Set(failedFiles.map(f => path.posix.dirname(f.relPath)));
+  for (const dir of failedDirs) {
+    if (metadataFiles.some(f => path.posix.dirname(f.relPath) === dir)) {
+      addLog(`Keeping the old databases in ${dir}, some of its packages failed to download`);
+    }
+  }
+  syncState.currentTask = 'Updating repo databases';
+  broadcastState();
+
+  const staged = [];
+  for (const fileObj of metadataFiles) {
+    if (syncAbortController.stop) return;
+    syncState.progress++;
+    if (failedDirs.has(path.posix.dirname(fileObj.relPath))) continue;
+    try {
+      const download = await downloadMirrorFile(fileObj, orderMirrors(), 0, { stage: true });
+      if (download) staged.push({ fileObj, download });
+    } catch (err) {
+      failedFiles.push(fileObj);
+    }
+  }
+  if (syncAbortController.stop) return;
+  for (const { fileObj, download } of staged) {
+    await commitDownload(fileObj, download);
+  }
+  if (staged.length) addLog(`Updated ${staged.length} repo database file(s)`);
+}
+
+// --- Retry queue ---
+
+const RETRY_QUEUE_PATH = path.join(DATA_DIR, 'retry-queue.json');
+const RETRY_BUSY_DELAY = 60 * 1000; // ms, check again this long after a sync kept the queue waiting
+
+// Backoff per kind of error: timeouts are usually a blip, a 5xx mirror needs a while to recover and a 404
+// means the file most likely left upstream (the next full sync drops it from the queue)
+const RETRY_POLICIES = {
+  'not-found': { baseMs: 60 * 60 * 1000, maxMs: 24 * 60 * 60 * 1000, maxAttempts: 3 },
+  timeout: { baseMs: 30 * 1000, maxMs: 30 * 60 * 1000 },
+  server: { baseMs: 5 * 60 * 1000, maxMs: 6 * 60 * 60 * 1000 },
+  other: { baseMs: 2 * 60 * 1000, maxMs: 6 * 60 * 60 * 1000 }
+};
+
+// Packages that failed on every mirror, by relPath. Databases and other mutable files aren't queued,
+// every sync checks them anyway and they must not be swapped in on their own
+let retryQueue = {};
+try {
+  retryQueue = fs.readJsonSync(RETRY_QUEUE_PATH);
+} catch {}
+
+let retryTimer = null;
+let activeRetry = null;
+
+function classifyError(err) {
+  const status = err && err.response && err.response.status;
+  if (status === 404 || status === 410) return 'not-found';
+  if (status >= 500) return 'server';
+  if (err && (['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN'].includes(err.code) ||
+    /timeout|connection closed/i.test(err.message))) return 'timeout';
+  return 'other';
+}
+
+// Exponential backoff with +-50% jitter, so files that failed together don't all come back at once
+function retryDelay(kind, attempts) {
+  const policy = RETRY_POLICIES[kind];
+  const delay = Math.min(policy.maxMs, policy.baseMs * Math.pow(2, attempts - 1));
+  return Math.round(delay * (0.5 + Math.random()));
+}
+
+function updateRetryStats() {
+  const entries = Object.values(retryQueue);
+  const waiting = entries.filter(e => e.nextRetryAt);
+  syncState.retryQueue = {
+    waiting: waiting.length,
+    givenUp: entries.length - waiting.length,
+    nextRetryAt: waiting.length ? new Date(Math.min(...waiting.map(e => Date.parse(e.nextRetryAt)))).toISOString() : null
+  };
+}
+
+function saveRetryQueue() {
+  updateRetryStats();
+  return fs.outputJson(RETRY_QUEUE_PATH, retryQueue).catch(err => addLog(`Failed to save the retry queue: ${err.message}`));
+}
+
+function queueRetry(fileObj, err) {
+  if (isMutableFile(fileObj.relPath)) return;
+  const entry = retryQueue[fileObj.relPath] || {
+    fileObj: { relPath: fileObj.relPath, size: fileObj.size, sha256: fileObj.sha256, optional: fileObj.optional },
+    attempts: 0,
+    firstFailedAt: new Date().toISOString()
+  };
+  entry.attempts++;
+  entry.lastAttemptAt = new Date().toISOString();
+  entry.lastError = err ? err.message : 'unknown error';
+  entry.errorKind = classifyError(err);
+  const maxAttempts = Math.min(RETRY_MAX_ATTEMPTS, RETRY_POLICIES[entry.errorKind].maxAttempts || Infinity);
+  entry.nextRetryAt = entry.attempts < maxAttempts
+    ? new Date(Date.now() + retryDelay(entry.errorKind, entry.attempts)).toISOString()
+    : null;
+  if (!entry.nextRetryAt) addLog(`Giving up on ${fileObj.relPath} after ${entry.attempts} attempt(s), retry it from the admin panel`);
+  retryQueue[fileObj.relPath] = entry;
+  saveRetryQueue();
+}
+
+function forgetRetry(relPath) {
+  if (!retryQueue[relPath]) return;
+  delete retryQueue[relPath];
+  saveRetryQueue();
+}
+
+// After a full scan, files that are no longer upstream leave the queue (only in roots that scanned fine)
+async function dropVanishedRetries(allFiles) {
+  const upstream = new Set(allFiles.map(f => f.relPath));
+  const roots = getPruneRoots();
+  const vanished = Object.keys(retryQueue)
+    .filter(relPath => !upstream.has(relPath) && roots.some(root => relPath.startsWith(root + '/')));
+  if (!vanished.length) return;
+  vanished.forEach(relPath => delete retryQueue[relPath]);
+  addLog(`Dropped ${vanished.length} file(s) from the retry queue, they are no longer upstream`);
+  await saveRetryQueue();
+}
+
+// One timer for the earliest due entry
+function scheduleRetries() {
+  clearTimeout(retryTimer);
+  retryTimer = null;
+  const due = Object.values(retryQueue).filter(e => e.nextRetryAt).map(e => Date.parse(e.nextRetryAt));
+  if (!due.length) return;
+  const delay = Math.max(0, Math.min(...due) - Date.now());
+  retryTimer = setTimeout(() => processRetryQueue(), Math.min(delay, MAX_TIMER_MS));
+}
+
+// Retry every due entry (or the given ones) from the best mirrors, outside of a sync
+function processRetryQueue(relPaths = null) {
+  if (activeRetry) return activeRetry;
+  if (activeSync) {
+    retryTimer = setTimeout(() => processRetryQueue(relPaths), RETRY_BUSY_DELAY);
+    return Promise.resolve();
+  }
+  activeRetry = (async () => {
+    syncAbortController.stop = false;
+    const now = Date.now();
+    const entries = Object.values(retryQueue).filter(e => relPaths
+      ? relPaths.includes(e.fileObj.relPath)
+      : e.nextRetryAt && Date.parse(e.nextRetryAt) <= now);
+    if (!entries.length) return;
+    addLog(`Retrying ${entries.length} failed file(s)`);
+    let fixed = 0;
+    for (const entry of entries) {
+      // Stopped like a sync, after the current file
+      if (syncAbortController.stop) {
+        addLog('Retry stopped by user');
+        break;
+      }
+      try {
+        await downloadMirrorFile(entry.fileObj, orderMirrors());
+        fixed++;
+      } catch {
+        // Back in the queue with a longer delay
+      }
+      broadcastState();
+    }
+    await saveFileMeta();
+    addLog(`Retry done: ${fixed} of ${entries.length} file(s) downloaded`);
+  })()
+    .catch(err => addLog(`Retry failed: ${err.message}`))
+    .finally(() => {
+      activeRetry = null;
+      broadcastState();
+      scheduleRetries();
+    });
+  return activeRetry;
+}
+
+api.get('/retries', requireRole('viewer'), (req, res) => {
+  res.json(Object.values(retryQueue).sort((a, b) => a.fileObj.relPath.localeCompare(b.fileObj.relPath)));
+});
+
+// Body: { "relPath": "core/os/x86_64/foo-1.0-1-x86_64.pkg.tar.zst" }, or nothing to retry everything now
+api.post('/retries/retry', requireRole('operator'), (req, res) => {
+  const relPath = req.body && req.body.relPath;
+  if (relPath && !retryQueue[relPath]) return res.status(404).json({ error: 'Not in the retry queue' });
+  if (activeSync || activeRetry) return res.status(409).json({ error: 'A sync or retry is already running' });
+  const relPaths = relPath ? [relPath] : Object.keys(retryQueue);
+  audit(req.user, 'retry', relPath || `all (${relPaths.length})`);
+  processRetryQueue(relPaths);
+  res.status(202).json({ retrying: relPaths.length });
+});
+
+// --- Pruning ---
+
+const PRUNE_STATE_PATH = path.join(DATA_DIR, 'prune-orphans.json');
+
+// When each orphaned file was first seen gone upstream, for PRUNE_MIN_AGE_DAYS
+let orphanSince = {};
+try {
+  orphanSince = fs.readJsonSync(PRUNE_STATE_PATH);
+} catch {}
+
+// Candidates of the last prune computation, waiting for confirmation in dry-run mode
+let pruneCandidates = [];
+
+const PACKAGE_RE = /^(.+)-([^-]+)-([^-]+)-([^-]+)\.pkg\.tar(\.[a-z0-9]+)?$/;
+
+// foo-bar-1.2-3-x86_64.pkg.tar.zst -> foo-bar (pkgname can contain dashes, pkgver/pkgrel/arch can't)
+function parsePackageName(fileName) {
+  const match = fileName.replace(/\.sig$/, '').match(PACKAGE_RE);
+  return match ? match[1] : null;
+}
+
+// Local directories the sync owns and may prune
+function getPruneRoots() {
+  return runTargets.flatMap(targetScanRoots).filter(root => !scanFailedRoots.has(root));
+}
+
+// With { partials: true } unfinished .part downloads are listed too
+async function listLocalFiles(relDir, { partials = false } = {}) {
+  const files = [];
+  async function walk(rel) {
+    let entries;
+    try {
+      entries = await fs.readdir(path.join(__dirname, 'mirror', rel), { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      const relPath = path.posix.join(rel, entry.name);
+      if (entry.isDirectory()) {
+        // Snapshots are managed by their own retention, never pruned or snapshotted again
+        if (SNAPSHOTS && relPath === SNAPSHOT_PATH) continue;
+        // Half-transferred files of an interrupted rsync, it picks them up next time
+        if (entry.name === '.~tmp~') continue;
+        await walk(relPath);
+      } else if (partials || !entry.name.endsWith('.part')) {
+        // .part files are unfinished downloads, they get resumed rather than pruned
+        files.push(relPath);
+      }
+    }
+  }
+  await walk(relDir);
+  return files;
+}
+
+// Local files that are no longer upstream, minus the extra versions we keep and files
+// that haven't been gone for PRUNE_MIN_AGE_DAYS yet
+async function computePruneCandidates(allFiles, skipDirs = new Set()) {
+  const upstream = new Set(allFiles.map(f => f.relPath));
+  const now = Date.now();
+  const seenOrphans = {};
+  const orphans = [];
+  for (const root of getPruneRoots()) {
+    for (const relPath of await listLocalFiles(root)) {
+      if (upstream.has(relPath) || skipDirs.has(path.posix.dirname(relPath))) continue;
+      seenOrphans[relPath] = orphanSince[relPath] || now;
+      const stat = await fs.stat(path.join(__dirname, 'mirror', relPath));
+      orphans.push({ relPath, size: stat.size, mtime: stat.mtimeMs });
+    }
+  }
+  // Forget files that came back upstream or were deleted
+  orphanSince = seenOrphans;
+  await fs.outputJson(PRUNE_STATE_PATH, orphanSince).catch(() => {});
+
+  // Keep the newest PRUNE_KEEP_VERSIONS versions of each package, the upstream one included
+  const kept = new Set();
+  if (PRUNE_KEEP_VERSIONS > 1) {
+    const packageKey = relPath => path.posix.join(path.posix.dirname(relPath), parsePackageName(path.posix.basename(relPath)));
+    const upstreamCount = {};
+    for (const relPath of upstream) {
+      if (relPath.endsWith('.sig') || !parsePackageName(path.posix.basename(relPath))) continue;
+      upstreamCount[packageKey(relPath)] = (upstreamCount[packageKey(relPath)] || 0) + 1;
+    }
+    const oldVersions = orphans
+      .filter(f => !f.relPath.endsWith('.sig') && parsePackageName(path.posix.basename(f.relPath)))
+      .sort((a, b) => b.mtime - a.mtime);
+    const keptCount = {};
+    for (const f of oldVersions) {
+      const key = packageKey(f.relPath);
+      const count = keptCount[key] || upstreamCount[key] || 0;
+      if (count < PRUNE_KEEP_VERSIONS) {
+        kept.add(f.relPath);
+        kept.add(f.relPath + '.sig');
+        keptCount[key] = count + 1;
+      }
+    }
+  }
+
+  const minAgeMs = PRUNE_MIN_AGE_DAYS * 24 * 60 * 60 * 1000;
+  return orphans.filter(f => !kept.has(f.relPath) && now - orphanSince[f.relPath] >= minAgeMs);
+}
+
+async function preparePrune(allFiles, skipDirs) {
+  pruneCandidates = await computePruneCandidates(allFiles, skipDirs);
+  const bytes = pruneCandidates.reduce((sum, f) => sum + f.size, 0);
+  syncState.prune = {
+    mode: PRUNE,
+    pending: pruneCandidates.length > 0,
+    files: pruneCandidates.length,
+    bytes,
+    sample: pruneCandidates.slice(0, 20).map(f => f.relPath)
+  };
+  addLog(`Prune: ${pruneCandidates.length} file(s) (${bytes} bytes) no longer upstream`);
+  if (PRUNE === 'auto') await applyPrune();
+}
+
+async function applyPrune() {
+  if (!pruneCandidates.length) return;
+  const candidates = pruneCandidates;
+  pruneCandidates = [];
+  let deleted = 0;
+  let bytes = 0;
+  for (const f of candidates) {
+    try {
+      const localPath = path.join(__dirname, 'mirror', f.relPath);
+      // Files still in a snapshot don't free anything
+      const stat = await fs.stat(localPath).catch(() => null);
+      await fs.remove(localPath);
+      delete orphanSince[f.relPath];
+      deleted++;
+      if (stat && stat.nlink === 1) bytes += f.size;
+    } catch (err) {
+      addLog(`Prune: failed to delete ${f.relPath}: ${err.message}`);
+    }
+  }
+  await fs.outputJson(PRUNE_STATE_PATH, orphanSince).catch(() => {});
+  adjustDiskUsage(-bytes);
+  syncState.prune = { mode: PRUNE, pending: false, files: 0, bytes: 0, sample: [], deleted, deletedBytes: bytes };
+  if (currentRun) currentRun.pruned = deleted;
+  addLog(`Prune: deleted ${deleted} file(s), reclaimed ${bytes} bytes`);
+}
+
+// --- Integrity audit ---
+
+// Offline check of the local tree against the local repo databases, nothing is downloaded.
+// The repair puts the broken files in the retry queue
+const INTEGRITY_VERIFIED_PATH = path.join(DATA_DIR, 'integrity-verified.json');
+const INTEGRITY_REPORT_PATH = path.join(DATA_DIR, 'integrity-report.json');
+const INTEGRITY_KINDS = ['missing', 'size', 'checksum', 'missing-sig', 'database', 'partial', 'orphan'];
+// Problems the repair fixes by downloading the file again
+const INTEGRITY_REDOWNLOAD = ['missing', 'size', 'checksum', 'missing-sig'];
+const INTEGRITY_CHUNK = 256 * 1024; // bytes per read while hashing
+const INTEGRITY_SAVE_EVERY = 500; // files, the verified checksums are saved as the audit goes
+
+// Checksums verified by earlier audits, by relPath with the size and mtime the file had then. Only files
+// that changed since are hashed again (all of them in a full audit), so a stopped audit picks up where it was
+let integrityVerified = {};
+try {
+  integrityVerified = fs.readJsonSync(INTEGRITY_VERIFIED_PATH);
+} catch {}
+
+// The last report, with every problem
+let integrityReport = null;
+try {
+  integrityReport = fs.readJsonSync(INTEGRITY_REPORT_PATH);
+} catch {}
+
+let activeIntegrityAudit = null;
+let integrityStop = false;
+// Token bucket for the audit's reads, separate from the download limiter
+const integrityBucket = { tokens: 0, refilledAt: Date.now() };
+
+function takeIntegrityTokens(bytes) {
+  if (INTEGRITY_READ_KBPS <= 0) return 0;
+  const now = Date.now();
+  const rate = INTEGRITY_READ_KBPS * 1024;
+  integrityBucket.tokens = Math.min(rate * BUCKET_SECONDS, integrityBucket.tokens + (now - integrityBucket.refilledAt) / 1000 * rate);
+  integrityBucket.refilledAt = now;
+  integrityBucket.tokens -= bytes;
+  return integrityBucket.tokens < 0 ? Math.ceil(-integrityBucket.tokens / rate * 1000) : 0;
+}
+
+// hashFile at INTEGRITY_READ_KBPS, returns null when the audit was stopped halfway
+async function hashFileThrottled(filePath, report) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath, { highWaterMark: INTEGRITY_CHUNK })) {
+    if (integrityStop || activeSync) return null;
+    hash.update(chunk);
+    report.bytesRead += chunk.length;
+    syncState.integrity.bytesRead = report.bytesRead;
+    const wait = takeIntegrityTokens(chunk.length);
+    if (wait > 0) await sleep(wait);
+  }
+  return hash.digest('hex');
+}
+
+function isRepairable(problem) {
+  if (problem.repaired) return false;
+  return (problem.kind === 'partial' && problem.stale) || (INTEGRITY_REDOWNLOAD.includes(problem.kind) && !isMutableFile(problem.relPath));
+}
+
+// What the panel gets of a report: counts per kind instead of the problems
+function summarizeIntegrityReport(report) {
+  const { problems, ...summary } = report;
+  const counts = Object.fromEntries(INTEGRITY_KINDS.map(kind => [kind, 0]));
+  problems.forEach(p => counts[p.kind]++);
+  return { ...summary, counts, repairable: problems.filter(isRepairable).length };
+}
+
+function saveIntegrityVerified() {
+  return fs.outputJson(INTEGRITY_VERIFIED_PATH, integrityVerified).catch(err => addLog(`Failed to save the verified checksums: ${err.message}`));
+}
+
+function saveIntegrityReport(report) {
+  integrityReport = report;
+  syncState.integrity.lastReport = summarizeIntegrityReport(report);
+  broadcastState();
+  return fs.outputJson(INTEGRITY_REPORT_PATH, report).catch(err => addLog(`Failed to save the integrity report: ${err.message}`));
+}
+
+// The local files of one scan root against its local database. Reports leftover .part files, orphans and
+// unreadable databases right away, returns the files the database lists for checkIntegrityFile
+// The repo directories of a scan root that can be checked against their database: the root itself for a
+// repo target, every <root>/os/<arch> that has a <repo>.db on disk for a tree target (listing mode)
+function integrityRepoDirs(target, root, files) {
+  if (target.type === 'repo') return files.length ? [root] : [];
+  const dbName = `${path.posix.basename(target.root)}.db`;
+  return files
+    .map(relPath => relPath.slice(root.length + 1).split('/'))
+    .filter(parts => parts.length === 3 && parts[0] === 'os' && parts[2] === dbName)
+    .map(parts => path.posix.join(root, 'os', parts[1]));
+}
+
+async function planIntegrityRoot(target, root, report) {
+  const local = await listLocalFiles(root, { partials: true });
+  const files = local.filter(relPath => !relPath.endsWith('.part'));
+  const repo = path.posix.basename(target.root);
+  const expected = [];
+  const checkedDirs = [];
+  for (const dir of integrityRepoDirs(target, root, files)) {
+    const dbPath = path.posix.join(dir, `${repo}.db`);
+    try {
+      const packages = parseRepoDb(await fs.readFile(path.join(MIRROR_DIR, dbPath)));
+      expected.push(...filterTargetFiles(target, repoDbFiles(null, { repo, repoPath: dir, packages })));
+      checkedDirs.push(dir);
+    } catch (err) {
+      report.problems.push({ kind: 'database', relPath: dbPath, detail: err.code === 'ENOENT' ? 'missing, nothing else in this directory can be checked' : `unreadable: ${err.message}` });
+    }
+  }
+  const listed = new Set(expected.map(f => f.relPath));
+  const present = new Set(files);
+  const inCheckedDir = relPath => checkedDirs.includes(path.posix.dirname(relPath));
+  for (const relPath of local.filter(relPath => relPath.endsWith('.part'))) {
+    const { size } = await fs.stat(path.join(MIRROR_DIR, relPath));
+    // The next download of a missing file resumes it, the others are stale
+    const file = relPath.slice(0, -'.part'.length);
+    const reason = present.has(file) ? 'the file itself is there'
+      : (inCheckedDir(file) && !listed.has(file) ? 'the database no longer lists its file' : null);
+    report.problems.push({ kind: 'partial', relPath, stale: Boolean(reason), detail: `unfinished download of ${size} bytes${reason ? `, ${reason}` : ''}` });
+  }
+  for (const relPath of files.filter(relPath => inCheckedDir(relPath) && !listed.has(relPath))) {
+    const { size } = await fs.stat(path.join(MIRROR_DIR, relPath));
+    report.problems.push({ kind: 'orphan', relPath, detail: `${size} bytes, not in the database` });
+  }
+  return expected;
+}
+
+// Returns false when the audit was stopped before the file was checked
+async function checkIntegrityFile(fileObj, full, report) {
+  const localPath = path.join(MIRROR_DIR, fileObj.relPath);
+  const problem = (kind, detail) => report.problems.push({ kind, relPath: fileObj.relPath, detail, size: fileObj.size, sha256: fileObj.sha256 });
+  const stat = await fs.stat(localPath).catch(() => null);
+  if (!stat) {
+    // Database aliases (core.db.tar.gz, core.files) that the mirror may never have published
+    if (fileObj.optional && isMutableFile(fileObj.relPath)) return true;
+    if (isMutableFile(fileObj.relPath)) problem('database', 'missing, the next sync downloads it');
+    else problem(fileObj.relPath.endsWith('.sig') ? 'missing-sig' : 'missing', 'missing');
+    return true;
+  }
+  if (typeof fileObj.size === 'number' && stat.size !== fileObj.size) {
+    problem('size', `expected ${fileObj.size} bytes, found ${stat.size}`);
+    return true;
+  }
+  if (!fileObj.sha256) return true;
+  const verified = integrityVerified[fileObj.relPath];
+  if (!full && verified && verified.sha256 === fileObj.sha256 && verified.size === stat.size && verified.mtimeMs === stat.mtimeMs) {
+    report.skipped++;
+    return true;
+  }
+  const digest = await hashFileThrottled(localPath, report);
+  if (digest === null) return false;
+  report.hashed++;
+  if (digest === fileObj.sha256.toLowerCase()) {
+    integrityVerified[fileObj.relPath] = { size: stat.size, mtimeMs: stat.mtimeMs, sha256: fileObj.sha256 };
+  } else {
+    delete integrityVerified[fileObj.relPath];
+    problem('checksum', `expected SHA-256 ${fileObj.sha256}, got ${digest}`);
+  }
+  return true;
+}
+
+// Every scan root of every target. Stops by itself when a sync starts, files change under it then
+async function runIntegrityAudit(full) {
+  const report = {
+    id: new Date().toISOString(),
+    full,
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    endedAt: null,
+    error: null,
+    checked: 0,
+    hashed: 0,
+    skipped: 0,
+    bytesRead: 0,
+    problems: []
+  };
+  addLog(`Integrity audit started (${full ? 'full, every checksum' : 'files changed since the last audit'})`);
+  Object.assign(syncState.integrity, { running: true, full, checked: 0, total: 0, bytesRead: 0, currentFile: null });
+  broadcastState();
+
+  const expected = [];
+  for (const target of syncTargets) {
+    for (const root of targetScanRoots(target)) expected.push(...await planIntegrityRoot(target, root, report));
+  }
+  syncState.integrity.total = expected.length;
+  for (const fileObj of expected) {
+    if (integrityStop || activeSync) break;
+    syncState.integrity.currentFile = fileObj.relPath;
+    if (!(await checkIntegrityFile(fileObj, full, report))) break;
+    syncState.integrity.checked = ++report.checked;
+    if (report.checked % INTEGRITY_SAVE_EVERY === 0) await saveIntegrityVerified();
+    broadcastState();
+  }
+
+  if (report.checked === expected.length) {
+    report.status = 'completed';
+    // Forget files that are no longer in any database
+    const listed = new Set(expected.map(f => f.relPath));
+    integrityVerified = Object.fromEntries(Object.entries(integrityVerified).filter(([relPath]) => listed.has(relPath)));
+  } else {
+    report.status = 'stopped';
+    if (activeSync) report.error = 'a sync started';
+  }
+  report.endedAt = new Date().toISOString();
+  await saveIntegrityVerified();
+  await saveIntegrityReport(report);
+  addLog(`Integrity audit ${report.status}: ${report.checked} of ${expected.length} file(s) checked, ${report.hashed} hashed, ${report.problems.length} problem(s)`);
+  return report;
+}
+
+// Resolves with the report, or null when the audit failed
+function startIntegrityAudit({ full = false } = {}) {
+  if (activeIntegrityAudit) return activeIntegrityAudit;
+  integrityStop = false;
+  activeIntegrityAudit = runIntegrityAudit(full)
+    .catch(err => {
+      addLog(`Integrity audit failed: ${err.message}`);
+      return null;
+    })
+    .finally(() => {
+      activeIntegrityAudit = null;
+      Object.assign(syncState.integrity, { running: false, currentFile: null });
+      broadcastState();
+    });
+  return activeIntegrityAudit;
+}
+
+function stopIntegrityAudit() {
+  integrityStop = true;
+}
+
+// Broken files leave the tree (one with the right size would count as up to date) and go to the retry
+// queue, which downloads them right away. Stale .part files are deleted
+async function repairIntegrity() {
+  const problems = integrityReport ? integrityReport.problems.filter(isRepairable) : [];
+  const relPaths = [];
+  let quarantined = 0;
+  let removed = 0;
+  for (const p of problems.filter(p => p.kind !== 'partial')) {
+    if (p.kind === 'size' || p.kind === 'checksum') {
+      const localPath = path.join(MIRROR_DIR, p.relPath);
+      const stat = await fs.stat(localPath).catch(() => null);
+      if (stat) {
+        await fs.move(localPath, path.join(QUARANTINE_DIR, 'integrity-audit', p.relPath), { overwrite: true });
+        // Files still in a snapshot don't free anything
+        if (stat.nlink === 1) adjustDiskUsage(-stat.size);
+        quarantined++;
+      }
+      delete integrityVerified[p.relPath];
+    }
+    queueRetry({ relPath: p.relPath, size: p.size, sha256: p.sha256 }, new Error(`integrity audit: ${p.detail}`));
+    relPaths.push(p.relPath);
+    p.repaired = true;
+  }
+  for (const p of problems.filter(p => p.kind === 'partial')) {
+    await fs.remove(path.join(MIRROR_DIR, p.relPath));
+    removed++;
+    p.repaired = true;
+  }
+  if (integrityReport) {
+    integrityReport.repairedAt = new Date().toISOString();
+    await saveIntegrityReport(integrityReport);
+  }
+  await saveIntegrityVerified();
+  addLog(`Integrity repair: ${relPaths.length} file(s) queued for download, ${quarantined} moved to quarantine, ${removed} stale .part file(s) deleted`);
+  if (relPaths.length) processRetryQueue(relPaths);
+  return { queued: relPaths.length, quarantined, removed };
+}
+
+if (!CACHE_MODE) {
+  syncState.integrity = {
+    running: false,
+    full: false,
+    checked: 0,
+    total: 0,
+    bytesRead: 0,
+    currentFile: null,
+    lastReport: integrityReport && summarizeIntegrityReport(integrityReport)
+  };
+}
+
+api.get('/integrity', requireRole('viewer'), (req, res) => {
+  res.json(syncState.integrity);
+});
+
+// The last report with every problem, as a file with ?download=1
+api.get('/integrity/report', requireRole('viewer'), (req, res) => {
+  if (!integrityReport) return res.status(404).json({ error: 'No integrity audit has run yet' });
+  if (req.query.download) res.attachment(`mirrormaster-integrity-${integrityReport.id.slice(0, 10)}.json`);
+  res.json(integrityReport);
+});
+
+// Body: { "full": true } to hash every file, not only those changed since the last audit
+api.post('/integrity', requireRole('operator'), (req, res) => {
+  if (CACHE_MODE) return res.status(409).json({ error: 'The cache has no repo databases to audit against' });
+  if (activeIntegrityAudit) return res.status(409).json({ error: 'An integrity audit is already running' });
+  if (activeSync || activeRetry) return res.status(409).json({ error: 'A sync or retry is running, audit once it is over' });
+  const full = Boolean(req.body && req.body.full);
+  audit(req.user, 'integrity audit', full ? 'full' : '');
+  startIntegrityAudit({ full });
+  res.status(202).json({ started: true, full });
+});
+
+api.post('/integrity/stop', requireRole('operator'), (req, res) => {
+  if (!activeIntegrityAudit) return res.status(409).json({ error: 'No integrity audit is running' });
+  audit(req.user, 'stop integrity audit');
+  stopIntegrityAudit();
+  res.status(202).json({ stopping: true });
+});
+
+api.post('/integrity/repair', requireRole('operator'), async (req, res) => {
+  if (activeIntegrityAudit || activeSync || activeRetry) return res.status(409).json({ error: 'An audit, sync or retry is running' });
+  if (!integrityReport || !integrityReport.problems.some(isRepairable)) return res.status(409).json({ error: 'Nothing to repair in the last report' });
+  audit(req.user, 'integrity repair');
+  try {
+    res.json(await repairIntegrity());
+  } catch (err) {
+    addLog(`Integrity repair failed: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- rsync upstreams ---
+
+const RSYNC_IO_TIMEOUT = 300; // seconds without any data before rsync gives up
+const RSYNC_VANISHED = 24; // exit code for files that disappeared upstream mid-transfer, harmless on a mirror
+// Overall progress line of --info=progress2: bytes, percent, speed, eta and file counters
+const RSYNC_PROGRESS_RE = /^\s*([\d,]+)\s+(\d+)%\s+\S+\s+(\d+:\d{2}:\d{2})(?:\s+\(xfr#\d+, (?:ir|to)-chk=(\d+)\/(\d+)\))?/;
+// --out-format line: itemized changes (">f+++++++++" is a new file, "*deleting" a deletion) and the name
+const RSYNC_ITEM_RE = /^(\*deleting|[<>ch.][fdLDS][^ ]*)\s+(.+)$/;
+
+function isRsyncMirror(mirror) {
+  return /^rsync:\/\//i.test(mirror);
+}
+
+function httpMirrors() {
+  return MIRRORS.filter(m => !isRsyncMirror(m));
+}
+
+function rsyncMirrors() {
+  return MIRRORS.filter(isRsyncMirror);
+}
+
+function rsyncError(code, stderr) {
+  const lastLine = stderr.split('\n').filter(Boolean).pop();
+  return `rsync exited with code ${code}${lastLine ? `: ${lastLine}` : ''}`;
+}
+
+// Run rsync and hand every line of its output to onLine (progress updates end in \r, not \n).
+// Resolves with the exit code, rejects only when rsync can't be started. With `stoppable` the
+// process is killed as soon as the sync is stopped
+function runRsync(args, { onLine = () => {}, stoppable = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(RSYNC_BIN, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    let pending = '';
+    let stderr = '';
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', chunk => {
+      const lines = (pending + chunk).split(/[\r\n]/);
+      pending = lines.pop();
+      lines.filter(Boolean).forEach(onLine);
+    });
+    child.stderr.setEncoding('utf8');
+    child.stderr.on('data', chunk => {
+      stderr = (stderr + chunk).slice(-4096);
+    });
+    const stopCheck = stoppable && setInterval(() => {
+      if (syncAbortController.stop) child.kill('SIGTERM');
+    }, 500);
+    child.on('error', err => {
+      clearInterval(stopCheck);
+      reject(err.code === 'ENOENT' ? new Error(`${RSYNC_BIN} not found, install rsync or set RSYNC_BIN`) : err);
+    });
+    child.on('close', code => {
+      clearInterval(stopCheck);
+      if (pending) onLine(pending);
+      resolve({ code, stderr });
+    });
+  });
+}
+
+function rsyncTimeoutArgs(timeoutMs) {
+  const seconds = Math.max(1, Math.ceil(timeoutMs / 1000));
+  return [`--contimeout=${seconds}`, `--timeout=${seconds}`];
+}
+
+// Small upstream files (lastsync, lastupdate) for probing and polling
+async function readRsyncFile(mirror, relPath, timeoutMs) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mirrormaster-'));
+  try {
+    const { code, stderr } = await runRsync([...rsyncTimeoutArgs(timeoutMs), '--no-motd', `${mirror.replace(/\/+$/, '')}/${relPath}`, dir + '/']);
+    if (code !== 0) throw new Error(rsyncError(code, stderr));
+    return await fs.readFile(path.join(dir, path.posix.basename(relPath)), 'utf8');
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+// Entries of one upstream directory, not recursive
+async function listRsyncDir(mirror, relDir, timeoutMs) {
+  const entries = [];
+  const { code, stderr } = await runRsync([...rsyncTimeoutArgs(timeoutMs), '--no-motd', '--list-only', `${mirror.replace(/\/+$/, '')}/${relDir}/`], {
+    onLine: line => {
+      // drwxr-xr-x          4,096 2024/06/01 12:00:00 2024.06.01
+      const match = line.match(/^([dl-])\S+\s+[\d,]+\s+\S+\s+\S+\s+(.+)$/);
+      if (match && match[2] !== '.') entries.push({ name: match[2], isDirectory: match[1] === 'd' });
+    }
+  });
+  if (code !== 0) throw new Error(rsyncError(code, stderr));
+  return entries;
+}
+
+async function fetchMirrorText(mirror, relPath, timeoutMs) {
+  if (isRsyncMirror(mirror)) return readRsyncFile(mirror, relPath, timeoutMs);
+  const res = await axios.get(`${mirror.replace(/\/+$/, '')}/${relPath}`, { timeout: timeoutMs, responseType: 'text' });
+  return String(res.data);
+}
+
+// Target rules as rsync filters, relative to the target root (first match wins)
+async function rsyncFilterArgs(mirror, target) {
+  const args = target.globs.exclude.map(glob => `--exclude=/${glob}`);
+  if (target.keep) {
+    const files = (await listRsyncDir(mirror, target.root, MIRROR_PROBE_TIMEOUT))
+      .filter(e => e.isDirectory)
+      .map(e => ({ relPath: `${target.root}/${e.name}/` }));
+    const kept = new Set(applyRetention(target, files).map(f => f.relPath));
+    files.filter(f => !kept.has(f.relPath)).forEach(f => args.push(`--exclude=/${path.posix.basename(f.relPath)}/`));
+  }
+  if (target.type === 'repo') {
+    args.push('--include=/os/', '--exclude=/*');
+    target.arch.forEach(arch => args.push(`--include=/os/${arch}/`));
+    args.push('--exclude=/os/*');
+  }
+  if (target.globs.include.length) {
+    args.push('--include=*/');
+    target.globs.include.forEach(glob => args.push(`--include=/${glob}`));
+    args.push('--exclude=*', '--prune-empty-dirs');
+  }
+  return args;
+}
+
+// Mirror one target from an rsync upstream, with the shared speed limit and progress in syncState.
+// --delay-updates moves all new files into place at the end, so a repo never shows new databases
+// next to missing packages; files are replaced by rename, which keeps snapshot hardlinks intact.
+// --bwlimit is fixed for the whole transfer, limit changes (schedule, panel) apply from the next target
+async function rsyncTarget(mirror, target, done) {
+  const limit = currentBandwidthLimit();
+  const args = [
+    '-rlt', '--no-motd', '--safe-links', '--delay-updates',
+    '--info=progress2', '--out-format=%i %n',
+    ...rsyncTimeoutArgs(RSYNC_IO_TIMEOUT * 1000)
+  ];
+  if (limit.kbps > 0) args.push(`--bwlimit=${limit.kbps}`);
+  // Same rule as the HTTP sync: files gone upstream (or outside the target rules) only go with PRUNE=auto
+  if (PRUNE === 'auto') args.push('--delete-delay', '--delete-excluded');
+  args.push(...(await rsyncFilterArgs(mirror, target)));
+  const localRoot = path.join(MIRROR_DIR, target.root);
+  await fs.ensureDir(localRoot);
+  args.push(`${mirror.replace(/\/+$/, '')}/${target.root}/`, localRoot + '/');
+
+  const started = Date.now();
+  let bytes = 0;
+  let deleted = 0;
+  let transferred = 0;
+  const { code, stderr } = await runRsync(args, {
+    stoppable: true,
+    onLine: line => {
+      const progress = line.match(RSYNC_PROGRESS_RE);
+      if (progress) {
+        const total = parseInt(progress[1].replace(/,/g, ''), 10);
+        const delta = total - bytes;
+        bytes = total;
+        bytesSinceSample += delta;
+        metrics.bytesByMirror[mirror] = (metrics.bytesByMirror[mirror] || 0) + delta;
+        recordRunBytes(mirror, delta);
+        if (progress[5]) {
+          const files = parseInt(progress[5], 10);
+          syncState.total = done.files + files;
+          syncState.progress = done.files + files - parseInt(progress[4], 10);
+          syncState.progressBar = Math.round((syncState.progress / syncState.total) * 100);
+        }
+        const [h, m, sec] = progress[3].split(':').map(Number);
+        syncState.eta = h * 3600 + m * 60 + sec;
+        syncState.timeSpent = Math.round((Date.now() - done.startedAt) / 1000);
+        broadcastState();
+        return;
+      }
+      const item = line.match(RSYNC_ITEM_RE);
+      if (!item) return addLog(`rsync: ${line}`);
+      const relPath = path.posix.join(target.root, item[2]);
+      if (item[1] === '*deleting') {
+        deleted++;
+      } else if (item[1].startsWith('>f')) {
+        transferred++;
+        recordRunFile({ relPath }, item[1].includes('+++') ? 'added' : 'updated');
+        syncState.currentTasks = [relPath];
+        syncState.currentTask = relPath;
+        broadcastState();
+      }
+    }
+  });
+  if (syncState.total) done.files = syncState.total;
+  if (deleted) {
+    addLog(`rsync: deleted ${deleted} file(s) no longer upstream in ${target.root}`);
+    if (currentRun) currentRun.pruned += deleted;
+  }
+  if (code !== 0 && code !== RSYNC_VANISHED && !syncAbortController.stop) throw new Error(rsyncError(code, stderr));
+  // rsync checks every file against its checksum, with --delay-updates they are only in place once it exits cleanly
+  if (code === 0 || code === RSYNC_VANISHED) metrics.filesSynced += transferred;
+
+  const health = getMirrorHealth(mirror);
+  const ms = Date.now() - started;
+  if (!syncAbortController.stop) {
+    health.successes++;
+    health.consecutiveFailures = 0;
+  }
+  if (bytes >= THROUGHPUT_MIN_BYTES && ms > 0) {
+    const speed = bytes / (ms / 1000);
+    health.throughput = health.throughput === null ? speed : Math.round(0.7 * health.throughput + 0.3 * speed);
+  }
+  updateMirrorScores();
+}
+
+// Sync every target of the run from the best rsync mirror, moving on to the next one on errors.
+// Resolves true when all targets went through
+async function syncFromRsyncMirrors() {
+  const mirrors = orderMirrors(null, { rsync: true })
+    // A benched rsync mirror is only worth a try when there is no HTTP mirror to fall back to
+    .filter(m => !getMirrorHealth(m).benched || !httpMirrors().length);
+  syncState.currentTask = 'Syncing';
+  syncState.progress = 0;
+  syncState.total = 0;
+  syncState.progressBar = 0;
+  for (const mirror of mirrors) {
+    const done = { files: 0, startedAt: Date.now() };
+    try {
+      for (const target of runTargets) {
+        if (syncAbortController.stop) break;
+        addLog(`Syncing ${target.name} with rsync from ${mirror}`);
+        await rsyncTarget(mirror, target, done);
+      }
+      return !syncAbortController.stop;
+    } catch (err) {
+      addLog(`rsync from ${mirror} failed: ${err.message}`);
+      recordMirrorFailure(mirror, err);
+    } finally {
+      syncState.currentTasks = [];
+      // rsync moved, replaced and deleted files behind our back
+      reconcileDiskUsage();
+    }
+  }
+  return false;
+}
+
+// --- Snapshots ---
+
+const SNAPSHOT_ROOT = path.join(__dirname, 'mirror', SNAPSHOT_PATH);
+const SNAPSHOT_META = '.snapshot.json'; // dotfiles aren't served
+
+// 2026/10/19, in UTC like the Arch Linux Archive
+function snapshotId(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, '/');
+}
+
+// Oldest first
+async function listSnapshotIds() {
+  const ids = [];
+  const subdirs = async (dir, re) => (await fs.readdir(dir).catch(() => [])).filter(name => re.test(name)).sort();
+  for (const year of await subdirs(SNAPSHOT_ROOT, /^\d{4}$/)) {
+    for (const month of await subdirs(path.join(SNAPSHOT_ROOT, year), /^\d{2}$/)) {
+      for (const day of await subdirs(path.join(SNAPSHOT_ROOT, year, month), /^\d{2}$/)) {
+        ids.push(`${year}/${month}/${day}`);
+      }
+    }
+  }
+  return ids;
+}
+
+async function loadSnapshots() {
+  const ids = await listSnapshotIds();
+  syncState.snapshots = await Promise.all(ids.reverse().map(async id => ({
+    id,
+    ...(await fs.readJson(path.join(SNAPSHOT_ROOT, id, SNAPSHOT_META)).catch(() => ({})))
+  })));
+  broadcastState();
+}
+
+// Snapshot directories are read-only (the files can't be, they share their inode with the mirror),
+// make them writable again to delete them
+async function removeSnapshotDir(dir) {
+  async function unlock(p) {
+    await fs.chmod(p, 0o755);
+    for (const entry of await fs.readdir(p, { withFileTypes: true })) {
+      if (entry.isDirectory()) await unlock(path.join(p, entry.name));
     }
   }
-  addLog(`Failed to download ${relPath} from all mirrors.`);
-  throw lastError;
+  if (!(await fs.pathExists(dir))) return;
+  await unlock(dir);
+  await fs.remove(dir);
 }
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+async function lockSnapshotDir(dir) {
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    if (entry.isDirectory()) await lockSnapshotDir(path.join(dir, entry.name));
+  }
+  await fs.chmod(dir, 0o555);
 }
 
-async function estimateSizeIncrease(allFiles) {
-  let size = 0;
-  let checked = 0;
-  for (const { repo, fileObj } of allFiles) {
-    if (checked % 100 === 0) {
-      syncState.estimatedSizeIncrease = size;
-      syncState.estimatedSizeIncreaseReady = false;
-      broadcastState();
-      await sleep(1); // Yield to event loop
+// Hardlink every file of every target into today's snapshot (replacing an earlier one from today),
+// then point `latest` at it. Files are only ever replaced by rename, never written in place, so a
+// link keeps the old content when the mirror moves on
+async function publishSnapshot() {
+  const id = snapshotId(new Date());
+  const dir = path.join(SNAPSHOT_ROOT, id);
+  const tmp = path.join(path.dirname(dir), `.${path.basename(dir)}.tmp`);
+  await removeSnapshotDir(tmp);
+  let files = 0;
+  let bytes = 0;
+  const roots = [...new Set(syncTargets.flatMap(targetScanRoots))];
+  for (const root of roots) {
+    for (const relPath of await listLocalFiles(root)) {
+      const target = path.join(tmp, relPath);
+      await fs.ensureDir(path.dirname(target));
+      await fs.link(path.join(__dirname, 'mirror', relPath), target);
+      files++;
+      bytes += (await fs.stat(target)).size;
     }
-    checked++;
-    const relPath = getRelativeMirrorPath(repo, fileObj);
-    const localPath = path.join(__dirname, 'mirror', relPath);
-    try {
-      if (!(await fs.pathExists(localPath))) {
-        const remoteUrl = new URL(`${MIRRORS[0]}/${repo}/os/${ARCH}/`);
-        const fileUrl = new URL(fileObj.href, remoteUrl);
-        const res = await axios.head(fileUrl.href, { timeout: 5000 });
-        if (res.headers['content-length']) {
-          size += parseInt(res.headers['content-length'], 10);
-        }
-      }
-    } catch {}
   }
-  syncState.estimatedSizeIncrease = size;
-  syncState.estimatedSizeIncreaseReady = true;
-  broadcastState();
-}
+  await fs.writeJson(path.join(tmp, SNAPSHOT_META), { createdAt: new Date().toISOString(), files, bytes, run: currentRun ? currentRun.id : null });
+  await removeSnapshotDir(dir);
+  await fs.rename(tmp, dir);
+  await lockSnapshotDir(dir);
 
-async function downloadFileWithThrottle(repo, fileObj, mirror, perThreadSpeedLimitKbps, workerId) {
-  const remoteUrl = new URL(`${mirror}/${repo}/os/${ARCH}/`);
-  const fileUrl = new URL(fileObj.href, remoteUrl);
-  const relPath = getRelativeMirrorPath(repo, fileObj);
-  // Track current task for this worker
-  syncState.currentTasks[workerId] = `${repo}/${fileObj.name}`;
-  syncState.currentWorkers = syncState.currentTasks.filter(Boolean).length;
-  broadcastState();
+  const latest = path.join(SNAPSHOT_ROOT, 'latest');
+  await fs.remove(latest + '.tmp');
+  await fs.symlink(id, latest + '.tmp');
+  await fs.rename(latest + '.tmp', latest);
+  addLog(`Published snapshot ${SNAPSHOT_PATH}/${id} (${files} files)`);
 
-  const localPath = path.join(__dirname, 'mirror', relPath);
-  if (await fs.pathExists(localPath)) return;
+  await applySnapshotRetention(id);
+  await loadSnapshots();
+}
 
-  try {
-    // Log file download event
-    addLog(`Worker #${workerId + 1}: Downloading ${relPath} from ${mirror}...`);
-    const res = await axios.get(fileUrl.href, { responseType: 'stream', timeout: 30000 });
-    await fs.ensureDir(path.dirname(localPath));
-    const writer = fs.createWriteStream(localPath);
-
-    // Track progress (per file, not global)
-    let received = 0;
-    let total = parseInt(res.headers['content-length'] || '0', 10);
-    let lastReceived = 0;
-    let lastTime = Date.now();
-
-    res.data.on('data', chunk => {
-      received += chunk.length;
-      // No global progress update here (handled by main thread)
-      const now = Date.now();
-      if (now - lastTime >= 1000) {
-        lastReceived = received;
-        lastTime = now;
-      }
-    });
+function monthsAgo(id, now = new Date()) {
+  const [year, month] = id.split('/').map(Number);
+  return (now.getUTCFullYear() * 12 + now.getUTCMonth() + 1) - (year * 12 + month);
+}
 
-    // Throttle if needed
-    if (perThreadSpeedLimitKbps > 0) {
-      const stream = res.data;
-      let bytesThisSecond = 0;
-      let throttleLastTime = Date.now();
-      stream.on('data', chunk => {
-        bytesThisSecond += chunk.length;
-        const now = Date.now();
-        if (bytesThisSecond > perThreadSpeedLimitKbps * 1024) {
-          const elapsed = now - throttleLastTime;
-          if (elapsed < 1000) {
-            stream.pause();
-            setTimeout(() => {
-              bytesThisSecond = 0;
-              throttleLastTime = Date.now();
-              stream.resume();
-            }, 1000 - elapsed);
-          } else {
-            bytesThisSecond = 0;
-            throttleLastTime = now;
-          }
-        }
-      });
-      stream.pipe(writer);
-    } else {
-      res.data.pipe(writer);
+async function applySnapshotRetention(latestId) {
+  const now = Date.now();
+  const keep = new Set([latestId]);
+  const seenMonths = new Set();
+  for (const id of await listSnapshotIds()) {
+    const ageDays = (now - Date.parse(id.replace(/\//g, '-') + 'T00:00:00Z')) / (24 * 60 * 60 * 1000);
+    if (ageDays < SNAPSHOT_KEEP_DAILY) keep.add(id);
+    const month = id.slice(0, 7);
+    if (!seenMonths.has(month)) {
+      seenMonths.add(month);
+      if (monthsAgo(id) < SNAPSHOT_KEEP_MONTHLY) keep.add(id);
     }
-
-    await new Promise((resolve, reject) => {
-      writer.on('finish', resolve);
-      writer.on('error', reject);
-    });
-    addLog(`Worker #${workerId + 1}: Downloaded ${relPath} from ${mirror}`);
-    // Remove from currentTasks
-    syncState.currentTasks[workerId] = null;
-    syncState.currentWorkers = syncState.currentTasks.filter(Boolean).length;
-    broadcastState();
-    return;
-  } catch (err) {
-    addLog(`Worker #${workerId + 1}: Failed to download ${relPath} from ${mirror}: ${err.message}`);
-    syncState.currentTasks[workerId] = null;
-    syncState.currentWorkers = syncState.currentTasks.filter(Boolean).length;
-    broadcastState();
-    throw err;
+  }
+  const expired = (await listSnapshotIds()).filter(id => !keep.has(id));
+  for (const id of expired) {
+    await removeSnapshotDir(path.join(SNAPSHOT_ROOT, id));
+    // Drop month and year directories that are empty now
+    for (const parent of [id.slice(0, 7), id.slice(0, 4)]) {
+      await fs.rmdir(path.join(SNAPSHOT_ROOT, parent)).catch(() => {});
+    }
+  }
+  if (expired.length) {
+    addLog(`Removed ${expired.length} expired snapshot(s)`);
+    reconcileDiskUsage();
   }
 }
 
-// Set the root path to clone (relative to the mirror root)
-const MIRROR_ROOT_PATH = process.env.MIRROR_ROOT_PATH || ''; // e.g. '' for full, or 'core/os/x86_64/'
+// --- Sync history ---
 
-// --- Improved scanning speed and reliability ---
-const DIR_LIST_TIMEOUT = 7000; // ms, lower timeout for directory listing
-const DIR_SCAN_CONCURRENCY = 10; // max concurrent directory requests
+const HISTORY_DIR = path.join(DATA_DIR, 'history');
+const RUN_FILE_LIST_LIMIT = 1000; // per category, keeps reports of huge first syncs readable
 
-// Simple concurrency pool for async functions
-function createConcurrencyPool(limit) {
-  let active = 0;
-  const queue = [];
-  function run(fn) {
-    return new Promise((resolve, reject) => {
-      const task = async () => {
-        active++;
-        try {
-          const result = await fn();
-          resolve(result);
-        } catch (err) {
-          reject(err);
-        } finally {
-          active--;
-          if (queue.length) queue.shift()();
-        }
-      };
-      if (active < limit) {
-        task();
-      } else {
-        queue.push(task);
-      }
-    });
-  }
-  return run;
-}
+// Report of the sync in progress, written to data/history/<id>.json when it ends
+let currentRun = null;
 
-const dirPool = createConcurrencyPool(DIR_SCAN_CONCURRENCY);
+function startRunReport(trigger, targets) {
+  const startedAt = new Date();
+  currentRun = {
+    id: startedAt.toISOString().replace(/[-:]/g, '').replace(/\..*$/, '') + '-' + crypto.randomBytes(2).toString('hex'),
+    trigger,
+    targets,
+    startedAt: startedAt.toISOString(),
+    endedAt: null,
+    durationSeconds: null,
+    status: 'running',
+    error: null,
+    planFiles: 0,
+    added: 0,
+    updated: 0,
+    failed: 0,
+    pruned: 0,
+    bytes: 0,
+    bytesByMirror: {},
+    files: { added: [], updated: [], failed: [] }
+  };
+}
 
-// Recursively fetch all files and directories from a given path on the mirror, with concurrency
-async function fetchAllFilesRecursive(mirror, basePath = MIRROR_ROOT_PATH) {
-  let url = mirror;
-  if (!url.endsWith('/')) url += '/';
-  url += basePath;
-  if (url.endsWith('//')) url = url.replace(/\/+$/, '/'); // avoid double slash
+function recordRunFile(fileObj, kind) {
+  if (!currentRun) return;
+  currentRun[kind]++;
+  if (currentRun.files[kind].length < RUN_FILE_LIST_LIMIT) currentRun.files[kind].push(fileObj.relPath);
+}
 
-  // Only scan allowed folders at the root level
-  if (!basePath || basePath === '' || basePath === '/') {
-    let files = [];
-    try {
-      const res = await dirPool(() =>
-        axios.get(url, { timeout: DIR_LIST_TIMEOUT }).catch(e => { throw e; })
-      );
-      const dom = new JSDOM(res.data);
-      const links = [...dom.window.document.querySelectorAll('a')];
-      const subdirPromises = [];
-      for (const a of links) {
-        let href = a.getAttribute('href');
-        if (!href || href.startsWith('?') || href.startsWith('/')) continue;
-        if (href === '../') continue;
-        if (href.endsWith('/')) {
-          // Only include allowed folders at root
-          const folder = href.replace(/\/$/, '');
-          if (MIRROR_INCLUDE_FOLDERS.includes(folder)) {
-            subdirPromises.push(fetchAllFilesRecursive(mirror, folder + '/'));
-          }
-        }
-      }
-      const subdirFiles = await Promise.allSettled(subdirPromises);
-      for (const result of subdirFiles) {
-        if (result.status === 'fulfilled') {
-          files = files.concat(result.value);
-        } else {
-          addLog(`Failed to list ${url}: ${result.reason && result.reason.message ? result.reason.message : result.reason}`);
-        }
-      }
-    } catch (err) {
-      addLog(`Failed to list ${url}: ${err.message}`);
-    }
-    return files;
-  }
+function recordRunBytes(mirror, bytes) {
+  if (!currentRun) return;
+  currentRun.bytes += bytes;
+  currentRun.bytesByMirror[mirror] = (currentRun.bytesByMirror[mirror] || 0) + bytes;
+}
 
-  // Regular recursive scan for files and directories
-  let files = [];
+async function finishRunReport(error) {
+  const run = currentRun;
+  currentRun = null;
+  if (!run) return;
+  run.endedAt = new Date().toISOString();
+  run.durationSeconds = Math.round((Date.parse(run.endedAt) - Date.parse(run.startedAt)) / 1000);
+  if (error) run.error = error.message;
+  run.status = error ? 'error' : (syncAbortController.stop ? 'stopped' : (run.failed || run.error ? 'failed' : 'success'));
   try {
-    const res = await dirPool(() =>
-      axios.get(url, { timeout: DIR_LIST_TIMEOUT }).catch(e => { throw e; })
-    );
-    const dom = new JSDOM(res.data);
-    const links = [...dom.window.document.querySelectorAll('a')];
-    const subdirPromises = [];
-    for (const a of links) {
-      let href = a.getAttribute('href');
-      if (!href || href.startsWith('?') || href.startsWith('/')) continue;
-      if (href === '../') continue;
-      const fullPath = path.posix.join(basePath, href);
-      if (href.endsWith('/')) {
-        subdirPromises.push(fetchAllFilesRecursive(mirror, fullPath));
-      } else {
-        files.push({ mirror, relPath: fullPath });
-      }
-    }
-    const subdirFiles = await Promise.allSettled(subdirPromises);
-    for (const result of subdirFiles) {
-      if (result.status === 'fulfilled') {
-        files = files.concat(result.value);
-      } else {
-        addLog(`Failed to list ${url}: ${result.reason && result.reason.message ? result.reason.message : result.reason}`);
-      }
-    }
+    await fs.outputJson(path.join(HISTORY_DIR, `${run.id}.json`), run, { spaces: 2 });
+    const ids = await listRunIds();
+    for (const old of ids.slice(SYNC_HISTORY_LIMIT)) await fs.remove(path.join(HISTORY_DIR, `${old}.json`));
   } catch (err) {
-    addLog(`Failed to list ${url}: ${err.message}`);
+    addLog(`Failed to save sync report: ${err.message}`);
   }
-  return files;
+  syncState.lastRun = summarizeRun(run);
+  return run;
 }
 
-// Download a single file, preserving the full relative path
-async function downloadMirrorFile(fileObj, mirrors, workerId = 0, perThreadSpeedLimitKbps = -1) {
-  let lastError;
-  for (const mirror of mirrors) {
-    const url = mirror.replace(/\/+$/, '') + '/' + fileObj.relPath.replace(/^\//, '');
-    const localPath = path.join(__dirname, 'mirror', fileObj.relPath);
+// Newest first (ids start with the start time)
+async function listRunIds() {
+  const names = await fs.readdir(HISTORY_DIR).catch(() => []);
+  return names.filter(n => n.endsWith('.json')).map(n => n.slice(0, -5)).sort().reverse();
+}
 
-    // Check if file exists and is up-to-date
-    if (await fs.pathExists(localPath)) {
-      return;
-    }
+async function readRun(id) {
+  if (!/^[\w-]+$/.test(id)) return null;
+  return fs.readJson(path.join(HISTORY_DIR, `${id}.json`)).catch(() => null);
+}
 
-    try {
-      addLog(`Worker #${workerId + 1}: Downloading ${fileObj.relPath} from ${mirror}...`);
-      await fs.ensureDir(path.dirname(localPath));
-      const res = await axios.get(url, { responseType: 'stream', timeout: 30000 });
-      const writer = fs.createWriteStream(localPath);
-
-      // Throttle if needed
-      if (perThreadSpeedLimitKbps > 0) {
-        const stream = res.data;
-        let bytesThisSecond = 0;
-        let throttleLastTime = Date.now();
-        stream.on('data', chunk => {
-          bytesThisSecond += chunk.length;
-          const now = Date.now();
-          if (bytesThisSecond > perThreadSpeedLimitKbps * 1024) {
-            const elapsed = now - throttleLastTime;
-            if (elapsed < 1000) {
-              stream.pause();
-              setTimeout(() => {
-                bytesThisSecond = 0;
-                throttleLastTime = Date.now();
-                stream.resume();
-              }, 1000 - elapsed);
-            } else {
-              bytesThisSecond = 0;
-              throttleLastTime = now;
-            }
-          }
-        });
-        stream.pipe(writer);
-      } else {
-        res.data.pipe(writer);
-      }
+function summarizeRun(run) {
+  const { files, ...summary } = run;
+  return summary;
+}
 
-      await new Promise((resolve, reject) => {
-        writer.on('finish', resolve);
-        writer.on('error', reject);
-      });
-      addLog(`Worker #${workerId + 1}: Downloaded ${fileObj.relPath} from ${mirror}`);
-      return;
-    } catch (err) {
-      lastError = err;
-      addLog(`Worker #${workerId + 1}: Failed to download ${fileObj.relPath} from ${mirror}: ${err.message}`);
-    }
+// Entry point for every trigger (startup, admin panel, scheduler). Never runs two syncs at once:
+// a stopped sync still has to finish its current file before the next one may start.
+let activeSync = null;
+
+// Resolves with the run report once the sync is over (see "Sync history")
+function syncMirror(trigger = 'manual', options = {}) {
+  if (CACHE_MODE) {
+    addLog(`Sync not started (${trigger}): in cache mode files are fetched on request`);
+    return Promise.resolve();
   }
-  addLog(`Worker #${workerId + 1}: Failed to download ${fileObj.relPath} from all mirrors.`);
-  throw lastError;
+  if (activeSync) {
+    addLog(`Sync not started (${trigger}): another sync is still running`);
+    return activeSync;
+  }
+  syncState.scheduler.lastTrigger = trigger;
+  syncState.scheduler.lastTriggerAt = new Date().toISOString();
+  addLog(`Sync triggered: ${trigger}`);
+  startRunReport(trigger, options.targets || syncTargets.map(t => t.name));
+  notify('sync.started', { trigger, targets: options.targets || syncTargets.map(t => t.name) });
+  // A retry of the queue in progress finishes first, it downloads the same files
+  activeSync = (activeRetry || Promise.resolve()).then(() => runSync(options))
+    .then(() => finishRunReport(null))
+    .catch(err => {
+      syncState.currentTask = 'Error';
+      syncState.running = false;
+      broadcastState();
+      console.error('Sync failed:', err);
+      return finishRunReport(err);
+    })
+    .then(run => {
+      if (run) notify(RUN_EVENTS[run.status], summarizeRun(run));
+      return run;
+    })
+    .finally(() => {
+      activeSync = null;
+      broadcastState();
+      scheduleRetries();
+    });
+  return activeSync;
+}
+
+function selectRunTargets(targets) {
+  runTargets = targets && targets.length ? syncTargets.filter(t => targets.includes(t.name)) : syncTargets;
+  if (runTargets !== syncTargets) addLog(`Syncing only ${runTargets.map(t => t.name).join(', ')}`);
+}
+
+// What a sync would download, without downloading anything (the CLI's --dry-run): the plan from the
+// best HTTP mirror and the files in it that are missing or outdated here
+async function planSync({ targets } = {}) {
+  selectRunTargets(targets);
+  await loadMirrorlist();
+  await probeMirrors();
+  const mirror = orderMirrors()[0];
+  if (!mirror) throw new Error('a dry run needs an HTTP mirror, rsync mirrors are not supported');
+  scanFailedRoots = new Set();
+  const files = await buildSyncPlan(mirror);
+  const download = [];
+  for (const fileObj of files) {
+    if (!(await isUpToDate(fileObj))) download.push(fileObj);
+  }
+  return { mirror, targets: runTargets.map(t => t.name), files: files.length, scanFailed: [...scanFailedRoots], download };
 }
 
 // Main sync logic (recursive, full mirror)
-async function syncMirror() {
-  if (syncState.running) return;
+async function runSync({ targets } = {}) {
+  const syncStartedAt = Date.now();
+  applyPendingSettings();
+  selectRunTargets(targets);
   syncState.running = true;
   syncAbortController.stop = false;
   syncState.currentTasks = [];
   syncState.currentWorkers = 0;
-  syncState.currentTask = 'Scanning mirror...';
+  syncState.currentTask = 'Probing mirrors...';
   broadcastState();
+  await loadMirrorlist();
+  await probeMirrors();
+
+  // rsync upstreams sync whole targets on their own, the HTTP mirrors are the fallback.
+  // Partial mirrors need the package selection, which only the HTTP sync does
+  if (rsyncMirrors().length && !PACKAGES.length) {
+    const synced = await syncFromRsyncMirrors();
+    if (synced || syncAbortController.stop || !httpMirrors().length) {
+      return finishSync(syncStartedAt, synced ? [] : runTargets.map(t => ({ relPath: t.root })));
+    }
+    addLog('Falling back to the HTTP mirrors');
+  } else if (rsyncMirrors().length) {
+    addLog('PACKAGES is set, skipping the rsync mirrors');
+  }
 
-  // Fetch all files from the first mirror (full recursive)
+  // Fetch the file list from the best mirror (directory crawl or repo databases)
+  syncState.currentTask = 'Scanning mirror...';
+  broadcastState();
+  const planMirror = orderMirrors()[0];
+  addLog(`Building the sync plan from ${planMirror}`);
+  scanFailedRoots = new Set();
   let allFiles = [];
+  let planError = null;
   try {
-    allFiles = await fetchAllFilesRecursive(MIRRORS[0]);
+    allFiles = await buildSyncPlan(planMirror);
   } catch (err) {
-    addLog(`Failed to fetch file list: ${err.message}`);
+    planError = `Failed to fetch file list: ${err.message}`;
+    addLog(planError);
+  }
+  if (!planError && scanFailedRoots.size) planError = `Scan failed for ${[...scanFailedRoots].join(', ')}`;
+  if (!planError && !allFiles.length) planError = `Empty file list from ${planMirror}`;
+  if (currentRun) {
+    currentRun.planFiles = allFiles.length;
+    // An incomplete plan fails the run even when every planned file was downloaded
+    currentRun.error = planError;
   }
+  syncState.verificationFailures = [];
   syncState.total = allFiles.length;
   syncState.progress = 0;
   syncState.currentTask = 'Syncing';
@@ -540,33 +3824,35 @@ async function syncMirror() {
   syncState.estimatedSizeIncreaseReady = false;
   broadcastState();
 
-  // Start size estimation in the background (optional, can be skipped for performance)
-  // estimateSizeIncrease(allFiles);
+  // Start size estimation in the background. Only cheap when the repo databases or the listings provide
+  // the sizes, otherwise it would take a HEAD request per file
+  if (SYNC_MODE === 'repodb' || allFiles.every(f => typeof plannedSize(f) === 'number' || f.relPath.endsWith('.sig') || isMutableFile(f.relPath))) {
+    estimateSizeIncrease(allFiles);
+  }
 
   let startTime = Date.now();
 
-  if (MULTITHREADED && MIRRORS.length > 1) {
-    let fileQueue = allFiles.filter(fileObj => {
-      const localPath = path.join(__dirname, 'mirror', fileObj.relPath);
-      return !fs.existsSync(localPath);
-    });
-    let progress = 0;
-    let total = fileQueue.length;
-    let perThreadSpeedLimit = DOWNLOAD_SPEED_LIMIT_KBPS > 0
-      ? Math.floor(DOWNLOAD_SPEED_LIMIT_KBPS / MIRRORS.length)
-      : -1;
+  // Packages first, databases last (see syncMetadataFiles)
+  const failedFiles = [];
+  const packageFiles = allFiles.filter(fileObj => !isMutableFile(fileObj.relPath));
+  const metadataFiles = allFiles.filter(fileObj => isMutableFile(fileObj.relPath));
 
-    // Assign files to each mirror in round-robin
-    let mirrorQueues = MIRRORS.map(() => []);
-    for (let i = 0; i < fileQueue.length; i++) {
-      mirrorQueues[i % MIRRORS.length].push(fileQueue[i]);
+  if (MULTITHREADED && httpMirrors().length > 1) {
+    let fileQueue = [];
+    for (const fileObj of packageFiles) {
+      if (!(await isUpToDate(fileObj))) fileQueue.push(fileObj);
     }
+    let progress = 0;
+    let total = fileQueue.length;
+    const workerMirrors = orderMirrors();
 
-    // Download in parallel
-    await Promise.all(MIRRORS.map(async (mirror, idx) => {
+    // One worker per usable mirror, all pulling from the shared queue: faster mirrors simply come back
+    // for more work sooner, and a benched mirror's worker stops taking files. Once every mirror is benched
+    // orderMirrors() falls back to all of them, and so do the workers.
+    await Promise.all(workerMirrors.map(async (mirror, idx) => {
       addLog(`Worker #${idx + 1} spawned for mirror: ${mirror}`);
-      for (const fileObj of mirrorQueues[idx]) {
-        if (syncAbortController.stop) break;
+      while (fileQueue.length && !syncAbortController.stop && orderMirrors().includes(mirror)) {
+        const fileObj = fileQueue.shift();
         syncState.progress = ++progress;
         syncState.currentWorkers = syncState.currentTasks.filter(Boolean).length;
         syncState.currentTasks[idx] = fileObj.relPath;
@@ -579,9 +3865,10 @@ async function syncMirror() {
         syncState.progressBar = Math.round((progress / total) * 100);
         broadcastState();
         try {
-          await downloadMirrorFile(fileObj, MIRRORS, idx, perThreadSpeedLimit);
+          await downloadMirrorFile(fileObj, orderMirrors(mirror), idx);
         } catch (err) {
           // Already logged
+          failedFiles.push(fileObj);
         }
         syncState.currentWorkers = syncState.currentTasks.filter(Boolean).length;
         syncState.currentTasks[idx] = null;
@@ -591,6 +3878,11 @@ async function syncMirror() {
       }
       addLog(`Worker #${idx + 1} killed for mirror: ${mirror}`);
     }));
+    if (fileQueue.length && !syncAbortController.stop) {
+      addLog(`All mirrors benched, ${fileQueue.length} file(s) left for the retry queue`);
+      failedFiles.push(...fileQueue);
+      fileQueue.forEach(fileObj => queueRetry(fileObj, new Error('all mirrors benched')));
+    }
     syncState.progress = total;
     syncState.progressBar = 100;
     syncState.currentTasks = [];
@@ -598,9 +3890,9 @@ async function syncMirror() {
     syncState.currentTask = 'Idle';
   } else {
     // Single-threaded (original logic)
-    for (let i = 0; i < allFiles.length; i++) {
+    for (let i = 0; i < packageFiles.length; i++) {
       if (syncAbortController.stop) break;
-      const fileObj = allFiles[i];
+      const fileObj = packageFiles[i];
       syncState.progress = i + 1;
       syncState.currentTasks = [fileObj.relPath];
       syncState.currentWorkers = 1;
@@ -609,15 +3901,17 @@ async function syncMirror() {
       const elapsed = (Date.now() - startTime) / 1000;
       syncState.timeSpent = Math.round(elapsed);
       const avgPerFile = elapsed / (i + 1);
-      syncState.eta = Math.round(avgPerFile * (allFiles.length - (i + 1)));
-      syncState.progressBar = Math.round(((i + 1) / allFiles.length) * 100);
+      syncState.eta = Math.round(avgPerFile * (packageFiles.length - (i + 1)));
+      syncState.progressBar = Math.round(((i + 1) / packageFiles.length) * 100);
       broadcastState();
       try {
-        addLog(`Worker #1 spawned for mirror: ${MIRRORS[0]}`);
-        await downloadMirrorFile(fileObj, MIRRORS, 0, DOWNLOAD_SPEED_LIMIT_KBPS);
-        addLog(`Worker #1 killed for mirror: ${MIRRORS[0]}`);
+        const mirrors = orderMirrors();
+        addLog(`Worker #1 spawned for mirror: ${mirrors[0]}`);
+        await downloadMirrorFile(fileObj, mirrors, 0);
+        addLog(`Worker #1 killed for mirror: ${mirrors[0]}`);
       } catch (err) {
-        // error already logged in downloadFile
+        // Already logged
+        failedFiles.push(fileObj);
       }
       syncState.currentTasks = [];
       syncState.currentWorkers = 0;
@@ -626,6 +3920,40 @@ async function syncMirror() {
       await sleep(TIMEOUT_MS);
     }
   }
+  if (!syncAbortController.stop) await syncMetadataFiles(metadataFiles, failedFiles);
+  await flagUnsignedPackages(allFiles);
+  if (!syncAbortController.stop && trimmedDatabases.length) {
+    // Our own databases are part of the mirror too, keep them out of the prune
+    const dbPaths = await writeTrimmedDatabases(failedFiles);
+    allFiles = allFiles.concat(dbPaths.map(relPath => ({ relPath })));
+  }
+  await saveFileMeta();
+  if (!syncAbortController.stop) await dropVanishedRetries(allFiles);
+
+  // Only prune after a complete run, and never in folders whose scan failed or dirs that kept old databases
+  if (PRUNE !== 'off' && !syncAbortController.stop && allFiles.length) {
+    syncState.currentTask = 'Checking for files to prune';
+    broadcastState();
+    await preparePrune(allFiles, new Set(failedFiles.map(f => path.posix.dirname(f.relPath))));
+  }
+
+  await finishSync(syncStartedAt, failedFiles, { complete: !planError });
+}
+
+// Snapshot, final state and metrics, for HTTP and rsync runs alike. `complete` is false when the
+// plan missed part of the mirror, such a run is neither published nor counted as a success.
+async function finishSync(syncStartedAt, failedFiles, { complete = true } = {}) {
+  const succeeded = complete && !syncAbortController.stop && !failedFiles.length;
+  if (SNAPSHOTS && succeeded) {
+    syncState.currentTask = 'Publishing snapshot';
+    broadcastState();
+    try {
+      await publishSnapshot();
+    } catch (err) {
+      addLog(`Failed to publish snapshot: ${err.message}`);
+    }
+  }
+
   syncState.currentTask = syncAbortController.stop ? 'Stopped by user' : 'Idle';
   syncState.eta = 0;
   syncState.running = false;
@@ -633,15 +3961,368 @@ async function syncMirror() {
   syncState.currentFileSpeed = 0;
   syncState.currentTasks = [];
   syncState.currentWorkers = 0;
+  metrics.lastSyncDurationSeconds = Math.round((Date.now() - syncStartedAt) / 1000);
+  if (currentRun) {
+    currentRun.failed = failedFiles.length;
+    currentRun.files.failed = failedFiles.slice(0, RUN_FILE_LIST_LIMIT).map(f => f.relPath);
+  }
+  if (succeeded) metrics.lastSuccessTimestamp = Math.floor(Date.now() / 1000);
   broadcastState();
   addLog('Sync complete.');
 }
 
-if (process.env.AUTO_START !== 'false') {
-  syncMirror().catch(err => {
-    syncState.currentTask = 'Error';
-    syncState.running = false;
-    broadcastState();
-    console.error('Sync failed:', err);
+// --- Notifications ---
+
+const HOOK_EVENTS_ALL = ['sync.started', 'sync.finished', 'sync.failed', 'sync.stopped', 'mirror.benched', 'disk.threshold'];
+const HOOK_DELIVERIES_PATH = path.join(DATA_DIR, 'hook-deliveries.json');
+const HOOK_DELIVERY_LIMIT = 100; // deliveries kept for the panel and retries
+const HOOK_TIMEOUT = 15000; // ms, per webhook request or command run
+const HOOK_MAX_ATTEMPTS = 6;
+const HOOK_RETRY_BASE_MS = 30 * 1000; // doubled after every failed attempt, 30s to 8 minutes
+// Event of a finished run by its status
+const RUN_EVENTS = { success: 'sync.finished', failed: 'sync.failed', error: 'sync.failed', stopped: 'sync.stopped' };
+
+const unknownHookEvents = HOOK_EVENTS.filter(e => !HOOK_EVENTS_ALL.includes(e));
+if (unknownHookEvents.length) {
+  console.error(`Invalid HOOK_EVENTS: unknown event(s) ${unknownHookEvents.join(', ')}, use ${HOOK_EVENTS_ALL.join(', ')}`);
+  process.exit(1);
+}
+
+// Newest first, with the payload so pending deliveries survive a restart
+let hookDeliveries = [];
+try {
+  hookDeliveries = fs.readJsonSync(HOOK_DELIVERIES_PATH);
+} catch {}
+// Attempts in flight, the CLI waits for them before it exits
+const hookAttempts = new Set();
+let diskAlertActive = false;
+
+function hookTargets() {
+  return [
+    ...WEBHOOK_URLS.map(url => ({ type: 'webhook', target: url })),
+    ...(HOOK_COMMAND ? [{ type: 'command', target: HOOK_COMMAND }] : [])
+  ];
+}
+
+// What the panel shows of a target: webhook URLs without query (tokens), commands without arguments
+function hookTargetLabel({ type, target }) {
+  if (type === 'command') return target.trim().split(/\s+/)[0];
+  try {
+    const url = new URL(target);
+    return url.origin + url.pathname;
+  } catch {
+    return target;
+  }
+}
+
+function saveHookDeliveries() {
+  syncState.hooks = {
+    targets: hookTargets().map(hookTargetLabel),
+    events: HOOK_EVENTS.length ? HOOK_EVENTS : HOOK_EVENTS_ALL,
+    deliveries: hookDeliveries.map(({ payload, target, ...delivery }) => ({ ...delivery, target: hookTargetLabel({ type: delivery.type, target }) }))
+  };
+  broadcastState();
+  return fs.outputJson(HOOK_DELIVERIES_PATH, hookDeliveries).catch(err => console.error('Failed to save hook deliveries:', err.message));
+}
+
+// Send an event to every webhook and the command hook
+function notify(event, data = {}) {
+  if (event !== 'test' && HOOK_EVENTS.length && !HOOK_EVENTS.includes(event)) return;
+  const targets = hookTargets();
+  if (!targets.length) return;
+  const payload = { id: crypto.randomUUID(), event, timestamp: new Date().toISOString(), data };
+  for (const { type, target } of targets) {
+    const delivery = { id: crypto.randomBytes(6).toString('hex'), event, type, target, payload, status: 'pending', attempts: 0, lastError: null, nextAttemptAt: null, deliveredAt: null, createdAt: payload.timestamp };
+    hookDeliveries.unshift(delivery);
+    attemptDelivery(delivery);
+  }
+  hookDeliveries = hookDeliveries.slice(0, HOOK_DELIVERY_LIMIT);
+  saveHookDeliveries();
+}
+
+function sendWebhook(delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'MirrorMaster',
+    'X-MirrorMaster-Event': delivery.event,
+    'X-MirrorMaster-Delivery': delivery.id
+  };
+  // Receivers check this against an HMAC of the raw body with the shared secret
+  if (WEBHOOK_SECRET) headers['X-MirrorMaster-Signature'] = 'sha256=' + crypto.createHmac('sha256', WEBHOOK_SECRET).update(body).digest('hex');
+  return axios.post(delivery.target, body, { headers, timeout: HOOK_TIMEOUT, transformRequest: [data => data] });
+}
+
+// The event goes to the command's stdin as one line of JSON, a non-zero exit counts as failed
+function runHookCommand(delivery) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('sh', ['-c', delivery.target], {
+      stdio: ['pipe', 'ignore', 'pipe'],
+      env: { ...process.env, MIRRORMASTER_EVENT: delivery.event }
+    });
+    let stderr = '';
+    child.stderr.setEncoding('utf8');
+    child.stderr.on('data', chunk => {
+      stderr = (stderr + chunk).slice(-4096);
+    });
+    const timer = setTimeout(() => child.kill('SIGKILL'), HOOK_TIMEOUT);
+    child.on('error', err => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) return resolve();
+      const lastLine = stderr.split('\n').filter(Boolean).pop();
+      reject(new Error(signal ? `killed after ${HOOK_TIMEOUT / 1000}s` : `exited with code ${code}${lastLine ? `: ${lastLine}` : ''}`));
+    });
+    // Scripts that don't read stdin close it early
+    child.stdin.on('error', () => {});
+    child.stdin.end(JSON.stringify(delivery.payload) + '\n');
+  });
+}
+
+function attemptDelivery(delivery) {
+  const attempt = (async () => {
+    delivery.attempts++;
+    delivery.nextAttemptAt = null;
+    try {
+      await (delivery.type === 'webhook' ? sendWebhook(delivery) : runHookCommand(delivery));
+      delivery.status = 'delivered';
+      delivery.deliveredAt = new Date().toISOString();
+      delivery.lastError = null;
+    } catch (err) {
+      delivery.lastError = err.message;
+      if (delivery.attempts >= HOOK_MAX_ATTEMPTS) {
+        delivery.status = 'failed';
+        addLog(`Notification ${delivery.event} to ${hookTargetLabel(delivery)} failed ${delivery.attempts} times, giving up: ${err.message}`);
+      } else {
+        scheduleDelivery(delivery, HOOK_RETRY_BASE_MS * Math.pow(2, delivery.attempts - 1));
+      }
+    }
+    await saveHookDeliveries();
+  })();
+  hookAttempts.add(attempt);
+  attempt.finally(() => hookAttempts.delete(attempt));
+}
+
+function scheduleDelivery(delivery, delayMs) {
+  delivery.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+  setTimeout(() => attemptDelivery(delivery), delayMs);
+}
+
+// Pending deliveries from before a restart go out at their planned time (or now, if that has passed)
+function resumeHookDeliveries() {
+  for (const delivery of hookDeliveries.filter(d => d.status === 'pending')) {
+    scheduleDelivery(delivery, Math.max(0, Date.parse(delivery.nextAttemptAt || 0) - Date.now()));
+  }
+  saveHookDeliveries();
+}
+
+function waitForHooks() {
+  return Promise.allSettled([...hookAttempts]);
+}
+
+// Fires once when the mirror grows past DISK_USAGE_ALERT_GB, again only after it was below
+function checkDiskUsageAlert() {
+  if (!DISK_USAGE_ALERT_GB) return;
+  const threshold = DISK_USAGE_ALERT_GB * 1024 ** 3;
+  const over = diskUsageBytes > threshold;
+  if (over && !diskAlertActive) {
+    addLog(`Disk usage is over ${DISK_USAGE_ALERT_GB} GB`);
+    notify('disk.threshold', { diskUsage: diskUsageBytes, threshold });
+  }
+  diskAlertActive = over;
+}
+
+api.get('/hooks', requireRole('viewer'), (req, res) => {
+  res.json(syncState.hooks || { targets: [], events: [], deliveries: [] });
+});
+
+api.post('/hooks/test', requireRole('operator'), (req, res) => {
+  if (!hookTargets().length) return res.status(409).json({ error: 'No WEBHOOK_URLS or HOOK_COMMAND configured' });
+  audit(req.user, 'test notification');
+  notify('test', { message: `Test notification sent by ${req.user.name}` });
+  res.status(202).json({ sent: hookTargets().length });
+});
+
+// --- Scheduler ---
+
+const CRON_FIELDS = [
+  { min: 0, max: 59 }, // minute
+  { min: 0, max: 23 }, // hour
+  { min: 1, max: 31 }, // day of month
+  { min: 1, max: 12 }, // month
+  { min: 0, max: 7 } // day of week (0 and 7 are Sunday)
+];
+const CRON_MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+// Parse a 5-field cron expression (*, lists, ranges and steps) into sets of allowed values
+function parseCron(expr) {
+  const parts = (CRON_MACROS[expr.trim()] || expr).trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error(`expected 5 fields, got ${parts.length}`);
+  const fields = parts.map((part, i) => {
+    const { min, max } = CRON_FIELDS[i];
+    const values = new Set();
+    for (const item of part.split(',')) {
+      const match = item.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+      if (!match) throw new Error(`invalid field "${part}"`);
+      const from = match[1] === '*' ? min : parseInt(match[2], 10);
+      const to = match[1] === '*' ? max : (match[3] !== undefined ? parseInt(match[3], 10) : (match[4] ? max : from));
+      const step = match[4] ? parseInt(match[4], 10) : 1;
+      if (from < min || to > max || from > to || step < 1) throw new Error(`field "${part}" out of range`);
+      for (let v = from; v <= to; v += step) values.add(i === 4 && v === 7 ? 0 : v);
+    }
+    return values;
   });
+  return {
+    minutes: fields[0],
+    hours: fields[1],
+    days: fields[2],
+    months: fields[3],
+    weekdays: fields[4],
+    // Like Vixie cron: when both day fields are restricted, either one may match
+    anyDay: parts[2] === '*' || parts[4] === '*'
+  };
+}
+
+function nextCronTime(cron, from = new Date()) {
+  const t = new Date(from);
+  t.setSeconds(0, 0);
+  t.setMinutes(t.getMinutes() + 1);
+  const limit = from.getTime() + 366 * 24 * 60 * 60 * 1000;
+  while (t.getTime() <= limit) {
+    const dayOk = cron.anyDay
+      ? cron.days.has(t.getDate()) && cron.weekdays.has(t.getDay())
+      : cron.days.has(t.getDate()) || cron.weekdays.has(t.getDay());
+    if (cron.months.has(t.getMonth() + 1) && dayOk && cron.hours.has(t.getHours()) && cron.minutes.has(t.getMinutes())) {
+      return t;
+    }
+    t.setMinutes(t.getMinutes() + 1);
+  }
+  return null;
+}
+
+const MAX_TIMER_MS = 24 * 60 * 60 * 1000; // setTimeout can't wait longer than ~24.8 days, re-plan daily
+
+function scheduleNextCronRun(cron) {
+  const next = nextCronTime(cron);
+  syncState.scheduler.nextRun = next ? next.toISOString() : null;
+  broadcastState();
+  if (!next) return;
+  const wait = next.getTime() - Date.now();
+  setTimeout(() => {
+    if (wait > MAX_TIMER_MS) return scheduleNextCronRun(cron);
+    syncMirror('schedule');
+    scheduleNextCronRun(cron);
+  }, Math.min(wait, MAX_TIMER_MS));
+}
+
+const SCHEDULER_STATE_PATH = path.join(DATA_DIR, 'scheduler.json');
+
+// Upstream lastupdate as of the last sync started by polling
+let lastSeenUpdate = null;
+try {
+  lastSeenUpdate = fs.readJsonSync(SCHEDULER_STATE_PATH).lastupdate || null;
+} catch {}
+
+// Cheap check: one tiny request to the best mirror, a full sync only when lastupdate moved
+async function pollLastUpdate() {
+  syncState.scheduler.lastPollAt = new Date().toISOString();
+  if (activeSync) return;
+  const mirror = orderMirrors(null, { rsync: true }).concat(orderMirrors())[0];
+  let lastupdate;
+  try {
+    lastupdate = (await fetchMirrorText(mirror, 'lastupdate', MIRROR_PROBE_TIMEOUT)).trim();
+  } catch (err) {
+    addLog(`Failed to poll lastupdate from ${mirror}: ${err.message}`);
+    return;
+  }
+  if (lastupdate === lastSeenUpdate) return;
+  const run = await syncMirror('lastupdate changed');
+  // Only remember it once a sync went through, a stopped or failed one is retried at the next poll
+  if (run && run.status === 'success') {
+    lastSeenUpdate = lastupdate;
+    await fs.outputJson(SCHEDULER_STATE_PATH, { lastupdate }).catch(() => {});
+  }
+}
+
+function startScheduler() {
+  if (SYNC_SCHEDULE) {
+    try {
+      scheduleNextCronRun(parseCron(SYNC_SCHEDULE));
+      addLog(`Scheduled syncs: "${SYNC_SCHEDULE}", next run ${syncState.scheduler.nextRun}`);
+    } catch (err) {
+      addLog(`Invalid SYNC_SCHEDULE "${SYNC_SCHEDULE}": ${err.message}`);
+    }
+  }
+  if (SYNC_POLL_MINUTES > 0) {
+    const intervalMs = SYNC_POLL_MINUTES * 60 * 1000;
+    syncState.scheduler.nextPollAt = new Date(Date.now() + intervalMs).toISOString();
+    setInterval(() => {
+      syncState.scheduler.nextPollAt = new Date(Date.now() + intervalMs).toISOString();
+      pollLastUpdate();
+    }, intervalMs);
+    addLog(`Polling lastupdate every ${SYNC_POLL_MINUTES} minute(s)`);
+  }
+}
+
+// --- Startup ---
+
+// Servers, scheduler and the startup sync only run for the app itself. cli.js requires this file
+// for the sync logic alone
+function start() {
+  startAdminServer();
+  if (SERVE_PORT) startPackageServer();
+  reconcileDiskUsage();
+  setInterval(reconcileDiskUsage, DISK_RECONCILE_INTERVAL);
+  resumeHookDeliveries();
+  if (CACHE_MODE) {
+    startCache();
+  } else {
+    startScheduler();
+    updateRetryStats();
+    if (SNAPSHOTS) loadSnapshots();
+    scheduleRetries();
+
+    if (process.env.AUTO_START !== 'false') {
+      syncMirror('startup');
+    }
+  }
 }
+
+if (require.main === module) start();
+
+module.exports = {
+  syncState,
+  syncAbortController,
+  get syncTargets() {
+    return syncTargets;
+  },
+  syncMirror,
+  planSync,
+  loadMirrorlist,
+  probeMirrors,
+  checkSettings,
+  assignSettings,
+  SETTING_NAMES,
+  getDiskUsage,
+  updateRetryStats,
+  listRunIds,
+  readRun,
+  summarizeRun,
+  waitForHooks,
+  startIntegrityAudit,
+  stopIntegrityAudit,
+  summarizeIntegrityReport,
+  parseListing,
+  LISTING_PARSERS,
+  CACHE_MODE,
+  MIRROR_DIR
+};
@@ -0,0 +1,93 @@
+// Directory listing parsers against index pages saved from the web servers (test/fixtures/listings)
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Nothing of the test run should end up in the real data directory
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mirrormaster-test-'));
+const { parseListing } = require('../index');
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'listings');
+const time = iso => Date.parse(iso);
+
+// Unknown sizes and dates are undefined, compared as missing
+function parseFixture(name) {
+  return JSON.parse(JSON.stringify(parseListing(fs.readFileSync(path.join(FIXTURES, name), 'utf8'))));
+}
+
+test('Apache table listing', () => {
+  assert.deepStrictEqual(parseFixture('apache-table.html'), {
+    format: 'apache',
+    entries: [
+      { name: 'sub', type: 'dir', sizeExact: false, mtime: time('2025-01-15T10:00:00Z'), mtimeSlack: null },
+      // 124K is rounded, 310 bytes are exact
+      { name: 'core.db', type: 'file', size: 126976, sizeExact: false, mtime: time('2025-01-15T10:02:00Z'), mtimeSlack: null },
+      { name: 'core.db.sig', type: 'file', size: 310, sizeExact: true, mtime: time('2025-01-15T10:02:00Z'), mtimeSlack: null }
+    ]
+  });
+});
+
+test('Apache FancyIndexing <pre> listing', () => {
+  assert.deepStrictEqual(parseFixture('apache-fancyindexing.html'), {
+    format: 'apache',
+    entries: [
+      { name: 'os', type: 'dir', sizeExact: false, mtime: time('2025-01-15T10:00:00Z'), mtimeSlack: null },
+      { name: 'foo.tar', type: 'file', size: 3565158, sizeExact: false, mtime: time('2025-01-15T10:02:00Z'), mtimeSlack: null }
+    ]
+  });
+});
+
+test('nginx autoindex HTML, with escaped and truncated names', () => {
+  assert.deepStrictEqual(parseFixture('nginx.html'), {
+    format: 'nginx',
+    entries: [
+      { name: 'sub', type: 'dir', sizeExact: false, mtime: time('2025-01-15T10:00:00Z'), mtimeSlack: 60000 },
+      { name: 'core.db', type: 'file', size: 127324, sizeExact: true, mtime: time('2025-01-15T10:02:00Z'), mtimeSlack: 60000 },
+      { name: 'libc++-18.1.8-4-x86_64.pkg.tar.zst', type: 'file', size: 5012345, sizeExact: true, mtime: time('2024-08-02T09:41:00Z'), mtimeSlack: 60000 },
+      // The name comes from the href, the link text is cut off
+      { name: 'a-very-long-package-name-that-is-cut-1.0-1-x86_64.pkg.tar.zst', type: 'file', size: 1048576, sizeExact: false, mtime: time('2024-08-02T09:41:00Z'), mtimeSlack: 60000 }
+    ]
+  });
+});
+
+test('nginx autoindex JSON', () => {
+  assert.deepStrictEqual(parseFixture('nginx.json'), {
+    format: 'nginx-json',
+    entries: [
+      { name: 'os', type: 'dir', sizeExact: false, mtime: time('2025-01-15T10:00:00Z'), mtimeSlack: 1000 },
+      { name: 'core.db', type: 'file', size: 127324, sizeExact: true, mtime: time('2025-01-15T10:02:11Z'), mtimeSlack: 1000 }
+    ]
+  });
+});
+
+test('lighttpd dirlisting', () => {
+  assert.deepStrictEqual(parseFixture('lighttpd.html'), {
+    format: 'lighttpd',
+    entries: [
+      { name: 'os', type: 'dir', sizeExact: false, mtime: time('2025-01-15T10:00:00Z'), mtimeSlack: null },
+      { name: 'core.db', type: 'file', size: 127283, sizeExact: false, mtime: time('2025-01-15T10:02:11Z'), mtimeSlack: null }
+    ]
+  });
+});
+
+test('Caddy file_server browse, HTML and JSON', () => {
+  const entries = [
+    { name: 'os', type: 'dir', sizeExact: false, mtime: time('2025-01-15T10:00:00Z'), mtimeSlack: 1000 },
+    { name: 'core.db', type: 'file', size: 127324, sizeExact: true, mtime: time('2025-01-15T10:02:11Z'), mtimeSlack: 1000 }
+  ];
+  assert.deepStrictEqual(parseFixture('caddy.html'), { format: 'caddy', entries });
+  assert.deepStrictEqual(parseFixture('caddy.json'), { format: 'caddy-json', entries });
+});
+
+test('unknown pages fall back to their same-site links, without sizes or dates', () => {
+  assert.deepStrictEqual(parseFixture('links.html'), {
+    format: 'links',
+    entries: [
+      { name: 'x', type: 'dir', sizeExact: false, mtimeSlack: null },
+      { name: 'y.txt', type: 'file', sizeExact: false, mtimeSlack: null }
+    ]
+  });
+});
@@ -0,0 +1,93 @@
+// `cli.js sync` against a local rsync daemon. Skipped when rsync isn't installed.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync, execFile } = require('child_process');
+
+const RSYNC_BIN = process.env.RSYNC_BIN || 'rsync';
+const hasRsync = !spawnSync(RSYNC_BIN, ['--version']).error;
+const ROOT = path.join(__dirname, '..');
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+    server.on('error', reject);
+  });
+}
+
+async function waitForPort(port, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const open = await new Promise(resolve => {
+      const socket = net.connect(port, '127.0.0.1', () => {
+        socket.end();
+        resolve(true);
+      });
+      socket.on('error', () => resolve(false));
+    });
+    if (open) return;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`rsync daemon didn't listen on ${port}`);
+}
+
+test('sync from an rsync:// mirror', { skip: !hasRsync && `${RSYNC_BIN} not installed` }, async t => {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'mirrormaster-rsync-'));
+  t.after(() => fs.remove(tmp));
+
+  // The upstream: core/os/x86_64 plus an arch and a folder the repo target leaves out
+  const upstream = path.join(tmp, 'upstream');
+  await fs.outputFile(path.join(upstream, 'lastsync'), String(Math.floor(Date.now() / 1000)));
+  await fs.outputFile(path.join(upstream, 'core/os/x86_64/core.db'), 'db');
+  await fs.outputFile(path.join(upstream, 'core/os/x86_64/foo-1.0-1-x86_64.pkg.tar.zst'), 'package');
+  await fs.outputFile(path.join(upstream, 'core/os/x86_64/foo-1.0-1-x86_64.pkg.tar.zst.sig'), 'signature');
+  await fs.outputFile(path.join(upstream, 'core/os/i686/core.db'), 'db');
+  await fs.outputFile(path.join(upstream, 'core/other/readme'), 'text');
+  // The daemon drops to nobody when started as root
+  await fs.chmod(tmp, 0o755);
+
+  const port = await freePort();
+  const config = path.join(tmp, 'rsyncd.conf');
+  await fs.outputFile(config, `port = ${port}\naddress = 127.0.0.1\npid file = ${tmp}/rsyncd.pid\n` +
+    `[archlinux]\npath = ${upstream}\nread only = true\nuse chroot = false\n`);
+  const daemon = spawn(RSYNC_BIN, ['--daemon', '--no-detach', `--config=${config}`], { stdio: 'ignore' });
+  t.after(() => daemon.kill());
+  await waitForPort(port);
+
+  // MIRROR_DIR is next to index.js, so the app runs from a copy
+  const app = path.join(tmp, 'app');
+  for (const file of ['index.js', 'cli.js', 'package.json']) await fs.copy(path.join(ROOT, file), path.join(app, file));
+  await fs.symlink(path.join(ROOT, 'node_modules'), path.join(app, 'node_modules'));
+
+  const env = {
+    ...process.env,
+    MIRRORS: `rsync://127.0.0.1:${port}/archlinux`,
+    MIRROR_INCLUDE_FOLDERS: 'core',
+    SYNC_MODE: 'repodb',
+    ARCH: 'x86_64',
+    DATA_DIR: path.join(tmp, 'data'),
+    RSYNC_BIN
+  };
+  const { code, stdout } = await new Promise(resolve => {
+    execFile(process.execPath, ['cli.js', 'sync', '--json', '--quiet'], { cwd: app, env, timeout: 60000 }, (err, stdout) => {
+      resolve({ code: err ? err.code : 0, stdout });
+    });
+  });
+  assert.strictEqual(code, 0, stdout);
+  const run = JSON.parse(stdout);
+  assert.strictEqual(run.status, 'success');
+  assert.strictEqual(run.added, 3);
+
+  const mirror = path.join(app, 'mirror');
+  assert.strictEqual(await fs.readFile(path.join(mirror, 'core/os/x86_64/foo-1.0-1-x86_64.pkg.tar.zst'), 'utf8'), 'package');
+  assert.ok(await fs.pathExists(path.join(mirror, 'core/os/x86_64/foo-1.0-1-x86_64.pkg.tar.zst.sig')));
+  assert.ok(await fs.pathExists(path.join(mirror, 'core/os/x86_64/core.db')));
+  assert.ok(!(await fs.pathExists(path.join(mirror, 'core/os/i686'))));
+  assert.ok(!(await fs.pathExists(path.join(mirror, 'core/other'))));
+});